@@ -7,6 +7,83 @@
 const THROW = 0
 const RECOVER = 1
 const SILENT = 2
+const STRICT = 3
+
+/**
+ * index
+ *
+ * Whether a token names an array element: a non-negative integer without
+ * leading zeros
+ */
+function index(token) {
+  return /^(0|[1-9]\d*)$/.test(token)
+}
+
+/**
+ * container
+ *
+ * A new container for the token that follows it
+ */
+function container(next) {
+  return next === '-' || index(next) ? [] : {}
+}
+
+/**
+ * kind
+ */
+function kind(value) {
+  return value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value
+}
+
+/**
+ * escape
+ */
+function escape(token) {
+  return token.replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+/**
+ * compare
+ *
+ * Appends the patch operations turning `from` into `to` at `path`: objects
+ * property by property, arrays item by item, anything else by replacement
+ */
+function compare(from, to, path, operations) {
+  const child = (token) => `${path}/${escape(String(token))}`
+
+  if (kind(from) === 'object' && kind(to) === 'object') {
+    for (const key of Object.keys(from)) {
+      if (!Object.hasOwn(to, key)) {
+        operations.push({ op: 'remove', path: child(key) })
+      } else {
+        compare(from[key], to[key], child(key), operations)
+      }
+    }
+
+    for (const key of Object.keys(to)) {
+      if (!Object.hasOwn(from, key)) {
+        operations.push({ op: 'add', path: child(key), value: to[key] })
+      }
+    }
+  } else if (kind(from) === 'array' && kind(to) === 'array') {
+    const common = Math.min(from.length, to.length)
+
+    for (let index = 0; index < common; index++) {
+      compare(from[index], to[index], child(index), operations)
+    }
+
+    // surplus items are removed from the end, so earlier indices hold
+    for (let index = from.length - 1; index >= common; index--) {
+      operations.push({ op: 'remove', path: child(index) })
+    }
+
+    for (let index = common; index < to.length; index++) {
+      operations.push({ op: 'add', path: child(index), value: to[index] })
+    }
+  } else if (from !== to) {
+    operations.push({ op: 'replace', path, value: to })
+  }
+}
 
 /**
  * JSONPointer
@@ -16,6 +93,8 @@ const SILENT = 2
  * https://tools.ietf.org/html/rfc6901
  */
 class JSONPointer {
+  static modes = { THROW, RECOVER, SILENT, STRICT }
+
   static get(source, expr) {
     const pointer = new JSONPointer(expr, 1)
     return pointer.get(source)
@@ -26,6 +105,85 @@ class JSONPointer {
     pointer.add(target, value)
   }
 
+  /**
+   * Diff
+   *
+   * @description The RFC 6902 patch of `add`, `replace` and `remove`
+   * operations turning one document into another, empty when they are equal.
+   * Both are compared as JSON carries them: undefined properties dropped,
+   * undefined items null.
+   * @param {*} from
+   * @param {*} to
+   * @returns {Array} the patch
+   */
+  static diff(from, to) {
+    const json = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)))
+    const operations = []
+
+    compare(json(from), json(to), '', operations)
+    return operations
+  }
+
+  /**
+   * Apply Patch
+   *
+   * @description Apply an RFC 6902 patch of `add`, `replace` and `remove`
+   * operations to a copy of a document. An operation on a location that does
+   * not exist, or any other operation, raises an error carrying the
+   * operation's `op` and `pointer`.
+   * @param {*} document
+   * @param {Array} patch
+   * @returns {*} the patched copy
+   */
+  static applyPatch(document, patch) {
+    let result = structuredClone(document)
+
+    for (const { op, path, value } of patch) {
+      const pointer = new JSONPointer(path)
+      const tokens = pointer.tokens
+      const token = tokens[tokens.length - 1]
+      const fail = (message) => {
+        throw Object.assign(new Error(message), { op, pointer: path })
+      }
+
+      if (op !== 'add' && op !== 'replace' && op !== 'remove') {
+        fail(`unsupported patch operation "${op}"`)
+      }
+
+      // the whole document
+      if (tokens.length === 0) {
+        result = op === 'remove' ? undefined : structuredClone(value)
+        continue
+      }
+
+      const parent = new JSONPointer(path.slice(0, path.lastIndexOf('/')), SILENT).get(result)
+
+      if (parent === null || typeof parent !== 'object') {
+        fail(`cannot ${op} at ${path}`)
+      }
+
+      const length = Array.isArray(parent) ? parent.length : undefined
+      const exists =
+        length === undefined ? Object.hasOwn(parent, token) : index(token) && Number(token) < length
+
+      if (op === 'add') {
+        if (length !== undefined && token !== '-' && !(index(token) && Number(token) <= length)) {
+          fail(`cannot add at ${path}`)
+        }
+
+        pointer.add(result, structuredClone(value))
+      } else if (!exists) {
+        fail(`cannot ${op} at ${path}`)
+      } else if (op === 'replace') {
+        pointer.replace(result, structuredClone(value))
+      } else {
+        pointer.remove(result)
+      }
+    }
+
+    return result
+  }
+
   /**
    * Constructor
    */
@@ -40,7 +198,7 @@ class JSONPointer {
    * Escape
    */
   escape(expr) {
-    return expr.replace(/~/g, '~0').replace(/\//g, '~1')
+    return escape(expr)
   }
 
   /**
@@ -153,16 +311,32 @@ class JSONPointer {
     return current
   }
 
+  /**
+   * Conflict
+   *
+   * @description Raise a write conflict as an error carrying the pointer and the
+   * token where it occurs
+   * @param {string} token
+   * @param {string} message
+   */
+  conflict(token, message) {
+    throw Object.assign(new Error(message), { pointer: this.expr, token })
+  }
+
   /**
    * Add
    *
    * @description Set a value on a target object referenced by the pointer. Put
    * will insert an array element. To change an existing array elemnent, use
-   * `pointer.set()`
+   * `pointer.set()`. In STRICT mode missing containers are created as in
+   * RECOVER mode, and a write that does not fit the target's shape — a
+   * property token on an array, or a token on a primitive — raises a conflict
+   * instead of coercing or overwriting.
    * @param {Object} target
    * @param {*} value
+   * @param {number} [mode] - overrides the pointer's mode for this write
    */
-  add(target, value) {
+  add(target, value, mode = this.mode) {
     let tokens = this.tokens
     let current = target
 
@@ -171,6 +345,16 @@ class JSONPointer {
       for (let i = 0; i < tokens.length; i++) {
         let token = tokens[i]
 
+        if (mode === STRICT) {
+          if (current === null || typeof current !== 'object') {
+            this.conflict(token, `cannot write into ${kind(current)}`)
+          }
+
+          if (Array.isArray(current) && token !== '-' && !index(token)) {
+            this.conflict(token, `cannot write property "${token}" into array`)
+          }
+        }
+
         // set the property on the target location
         if (i === tokens.length - 1) {
           if (token === '-') {
@@ -182,21 +366,22 @@ class JSONPointer {
           }
 
           // handle missing target location based on "mode"
-        } else if (!current[token]) {
-          switch (this.mode) {
+        } else if (mode === STRICT ? current[token] === undefined : !current[token]) {
+          switch (mode) {
             case THROW:
               throw new Error('Invalid JSON Pointer reference')
 
-            case RECOVER: {
-              const container = tokens[i + 1] === '-' || /^(0|[1-9]\d*)$/.test(tokens[i + 1]) ? [] : {}
+            case RECOVER:
+            case STRICT: {
+              const created = container(tokens[i + 1])
 
-              if (Array.isArray(current) && parseInt(token, 10) >= current.length) {
-                current.push(container)
+              if (Array.isArray(current) && (token === '-' || parseInt(token, 10) >= current.length)) {
+                current.push(created)
               } else {
-                current[token] = container
+                current[token] = created
               }
 
-              current = container
+              current = created
               break
             }
 
@@ -233,7 +418,7 @@ class JSONPointer {
       if (i === tokens.length - 1) {
         current[token] = value
       } else if (!current[token]) {
-        current = current[token] = parseInt(token) ? [] : {}
+        current = current[token] = container(tokens[i + 1])
       } else {
         current = current[token]
       }
@@ -241,9 +426,11 @@ class JSONPointer {
   }
 
   /**
-   * Del
+   * Remove
    *
-   * - if this is an array it should splice the value out
+   * @description Delete the value at the target location referenced by the
+   * pointer. An array element is spliced out, shifting subsequent elements.
+   * @param {Object} target
    */
   remove(target) {
     let tokens = this.tokens
@@ -252,19 +439,16 @@ class JSONPointer {
     for (let i = 0; i < tokens.length; i++) {
       let token = tokens[i]
 
-      if (current === undefined || current[token] === undefined) {
+      if (current === undefined || current === null || current[token] === undefined) {
         return undefined
+      } else if (i < tokens.length - 1) {
+        current = current[token]
       } else if (Array.isArray(current)) {
         current.splice(token, 1)
-        return undefined
-      } else if (i === tokens.length - 1) {
+      } else {
         delete current[token]
       }
-
-      current = current[token]
     }
-
-    // delete from the target
   }
 }
 
@@ -0,0 +1,89 @@
+/**
+ * Copyright 2023 Christian Smith. All rights reserved.
+ */
+/**
+ * LRUCache
+ *
+ * @class
+ * In-memory store for plugin results shared across invocations (SPEC.md
+ * §7.4), and the reference for the store interface an evaluator accepts as
+ * its `cache` option:
+ *
+ *   get(key)             -> value, or undefined on a miss
+ *   set(key, value, ttl) -> (ttl in milliseconds; undefined never expires)
+ *   delete(key)
+ *
+ * Any of them may return a promise. Holds at most `max` entries, evicting the
+ * least recently used.
+ */
+class LRUCache {
+  /**
+   * Constructor
+   */
+  constructor(options) {
+    this.max = options?.max || 1000
+    this.entries = new Map()
+  }
+
+  /**
+   * Size
+   */
+  get size() {
+    return this.entries.size
+  }
+
+  /**
+   * Get
+   */
+  get(key) {
+    const entry = this.entries.get(key)
+
+    if (entry === undefined) {
+      return undefined
+    }
+
+    if (entry.expires !== undefined && entry.expires <= Date.now()) {
+      this.entries.delete(key)
+      return undefined
+    }
+
+    // most recently used last
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+
+    return entry.value
+  }
+
+  /**
+   * Set
+   */
+  set(key, value, ttl) {
+    const expires = ttl === undefined ? undefined : Date.now() + ttl
+
+    this.entries.delete(key)
+    this.entries.set(key, { value, expires })
+
+    while (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  /**
+   * Delete
+   */
+  delete(key) {
+    this.entries.delete(key)
+  }
+
+  /**
+   * Clear
+   */
+  clear() {
+    this.entries.clear()
+  }
+}
+
+/**
+ * Exports
+ */
+export default LRUCache
@@ -5,6 +5,13 @@
  * Dependencies
  */
 import JSONPointer from './JSONPointer.js'
+import LRUCache from './LRUCache.js'
+import { formats as builtinFormats } from './formats.js'
+import { tokenize, text, encoders } from './template.js'
+import { coercions } from './coercions.js'
+import { lint } from './lint.js'
+import { explain } from './explain.js'
+import { validateDocument, validateDescriptor } from './schema.js'
 
 /**
  * resolve
@@ -28,6 +35,40 @@ function resolve(...paths) {
   return result || '.'
 }
 
+/**
+ * resolved
+ *
+ * resolve, memoized in the compiled plan when there is one. Paths inside an
+ * element carry its index, so they are as many as the input's elements and
+ * are not memoized: the plan would grow with every input it is reused on.
+ */
+function resolved(context, ...paths) {
+  const cache = context.plan?.paths
+
+  if (!cache || context.indices?.length > 0) {
+    return resolve(...paths)
+  }
+
+  const key = paths.join('/')
+  let path = cache.get(key)
+
+  if (path === undefined) {
+    path = resolve(...paths)
+    cache.set(key, path)
+  }
+
+  return path
+}
+
+/**
+ * pointer
+ *
+ * Parsed JSONPointer for an expression, from the compiled plan when there is one
+ */
+function pointer(expr, context) {
+  return context?.plan?.pointers.get(expr) || new JSONPointer(expr, 1)
+}
+
 /**
  * define
  */
@@ -52,28 +93,49 @@ export function shift(descriptor, context, changes) {
   const source = define(changes?.source, context.source, input)
   const target = define(changes?.target, context.target, output)
   const errors = context.errors || []
+  const tolerated = context.tolerated || new Set()
+  const tolerant = define(descriptor.tolerant, context.tolerant, false)
+  const pluginErrors = context.pluginErrors || 'capture'
+  const trace = context.trace
+  const concurrency = context.concurrency
+  const signal = context.signal
+  const cache = context.cache
+  const memo = context.memo || new Map()
   const paths = { source: '/', target: '/', ...context.paths }
+  const indices =
+    changes?.index !== undefined ? [...(context.indices || []), changes.index] : context.indices || []
+  const $id = define(descriptor.$id, context.$id)
 
   if (descriptor.source) {
     if (changes?.index !== undefined) {
       paths.source = resolve(paths.source, `/${changes.index}`, descriptor.source)
     } else {
-      paths.source = resolve(paths.source, descriptor.source)
+      paths.source = resolved(context, paths.source, descriptor.source)
     }
   }
 
-  if (descriptor.target) {
-    paths.target = resolve(paths.target, descriptor.target)
+  // the position the value is written to: a pairing's target pointer, then
+  // an element's index
+  if (changes?.pointer !== undefined) {
+    const at =
+      changes.pointer.charAt(0) === '#' ? pointer(changes.pointer, context).toJSONString() : changes.pointer
+    paths.target = resolved(context, paths.target, at)
+  }
+
+  if (changes?.index !== undefined) {
+    paths.target = resolve(paths.target, `/${changes.index}`)
   }
 
   // alias mapping as each
   const mapping = deref(descriptor.mapping || descriptor.each, context) || null
-  const pairings = (mapping && Object.entries(mapping.mapping || mapping)) || null
+  const pairings = (mapping && entries(mapping.mapping || mapping, context)) || null
 
   const mappings = context.mappings || {}
   const initializers = context.initializers || {}
   const transformers = context.transformers || {}
   const plugins = context.plugins || {}
+  const formats = context.formats || builtinFormats
+  const plan = context.plan
 
   return {
     source,
@@ -81,21 +143,47 @@ export function shift(descriptor, context, changes) {
     input,
     output,
     errors,
+    tolerated,
+    tolerant,
+    pluginErrors,
+    trace,
+    concurrency,
+    signal,
+    cache,
+    memo,
     paths,
+    indices,
+    $id,
     mapping,
     pairings,
     mappings,
     initializers,
     transformers,
-    plugins
+    plugins,
+    formats,
+    plan
   }
 }
 
+/**
+ * entries
+ *
+ * Pairings of a mapping, from the compiled plan when there is one
+ */
+function entries(mapping, context) {
+  return context.plan?.pairings.get(mapping) || Object.entries(mapping)
+}
+
 /**
  * deref
  */
 function deref(descriptor, context) {
   const mappings = context.mappings || {}
+  const refs = context.plan?.refs
+
+  if (refs?.has(descriptor)) {
+    return refs.get(descriptor)
+  }
 
   if (typeof descriptor === 'string') {
     return mappings[descriptor] || descriptor
@@ -103,14 +191,13 @@ function deref(descriptor, context) {
     const mapping = mappings[descriptor.$ref]
 
     if (mapping === undefined) {
-      const errors = context.errors || []
+      context.errors = context.errors || []
 
-      complain(errors, descriptor, {
+      complain(context, descriptor, {
         $ref: descriptor.$ref,
         message: `unknown mapping reference`
       })
 
-      context.errors = errors
       return {}
     }
 
@@ -138,6 +225,37 @@ function recognized(pointer) {
   return pointer.charAt(0) === '/' || pointer.includes('../')
 }
 
+/**
+ * irregular
+ *
+ * The first regex operand of a predicate, or of its and/or/not members, that
+ * is not a valid regular expression
+ */
+function irregular(predicate) {
+  if (!plain(predicate)) {
+    return undefined
+  }
+
+  const { regex, and = [], or = [], not } = predicate
+  const patterns = regex === undefined ? [] : plain(regex) ? Object.values(regex) : [regex]
+
+  for (const pattern of patterns) {
+    try {
+      new RegExp(pattern)
+    } catch {
+      return pattern
+    }
+  }
+
+  for (const member of [].concat(and, or, not)) {
+    const pattern = irregular(member)
+
+    if (pattern !== undefined) {
+      return pattern
+    }
+  }
+}
+
 /**
  * check
  */
@@ -171,6 +289,32 @@ export function check(descriptor) {
     }
   }
 
+  // a limit below one would start no branches at all
+  const concurrency = descriptor?.concurrency
+
+  if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency >= 1)) {
+    return {
+      concurrency,
+      message: 'concurrency must be a positive integer'
+    }
+  }
+
+  // predicates are checked once here rather than failing on every item
+  const cases = descriptor?.switch?.when
+  const tests = Array.isArray(cases) ? cases.map((entry) => entry?.test) : []
+  const predicates = [descriptor?.find, descriptor?.filter, descriptor?.when, descriptor?.unless, ...tests]
+
+  for (const predicate of predicates) {
+    const regex = irregular(predicate)
+
+    if (regex !== undefined) {
+      return {
+        regex,
+        message: 'invalid regular expression'
+      }
+    }
+  }
+
   return null
 }
 
@@ -183,80 +327,140 @@ export function check(descriptor) {
 export async function map(next, previous) {
   const descriptor = deref(next, previous) // current descriptor
   const context = shift(descriptor, previous) // current context
+
+  // each evaluation of a mapping accumulates its own errors, so that its
+  // failure, and its onError handler, see none raised beside it (as by the
+  // other elements of an each)
+  const scope = { ...context, errors: [] }
+
+  try {
+    return await mapPairings(descriptor, scope)
+  } finally {
+    context.errors.push(...scope.errors)
+  }
+}
+
+/**
+ * mapPairings
+ *
+ * Writes the pairings of a mapping into the context's target
+ */
+async function mapPairings(descriptor, context) {
   const whatever = await get(descriptor, context)
   const pairings = context.pairings // current pairings
   const target = context.target // current target
 
   if (pairings) {
     for (const [left, right] of pairings) {
-      const rightDesc = deref(right, context) // source descriptor
-      const rightContext = shift(rightDesc, context, { source: whatever })
+      // an aborted evaluation schedules nothing further
+      context.signal?.throwIfAborted()
+
+      // in a tolerant mapping, or with an error handler, each pairing
+      // accumulates its own errors, so that only its own failures omit (or
+      // replace) its write
+      const tolerant = context.tolerant
+      const handler = right?.onError
+      const scope = tolerant || handler !== undefined ? { ...context, errors: [] } : context
+      const rightDesc = deref(right, scope) // source descriptor
+      const rightContext = shift(rightDesc, scope, { source: whatever, pointer: left })
       const rightPairings = rightContext.pairings
 
-      // conditionals at this level are switching on
-      // characteristics of the source descriptor
-      if (rightPairings || rightDesc.switch) {
+      let value
+      let write = true
+
+      if (context.trace) {
+        emit(rightContext, { type: 'pairing-start', pointer: left, descriptor: rightDesc })
+      }
+
+      // a pairing whose condition fails is neither evaluated nor written
+      if (!admitted(rightDesc, rightContext)) {
+        write = false
+
+        // conditionals at this level are switching on
+        // characteristics of the source descriptor
+      } else if (rightPairings || rightDesc.switch) {
         // shift needs to set value, so we can assign `rightContext.value`
-        const value = await get(rightDesc, rightContext)
+        const selected = await get(rightDesc, rightContext)
 
         // conditionals at this level are switching on
         // characteristics of the source value
         if (
-          typeof value === 'string' ||
-          typeof value === 'number' ||
-          typeof value === 'boolean' ||
-          value === null
+          typeof selected === 'string' ||
+          typeof selected === 'number' ||
+          typeof selected === 'boolean' ||
+          selected === null
         ) {
-          set(left, target, value)
+          value = selected
 
           // value is a non-empty array
           // nested is a nested mapping on rightDesc
-        } else if (Array.isArray(value)) {
-          const promises = value.map(async (item, index) => {
+        } else if (Array.isArray(selected)) {
+          const limit = define(rightDesc.concurrency, context.concurrency)
+
+          value = await parallel(selected, limit, async (item, index) => {
             return await nest(rightDesc, rightContext, { source: item, index })
           })
 
-          const values = await Promise.all(promises)
-          set(left, target, values)
-
           // value is a non-null object
-        } else if (value && typeof value === 'object') {
-          const changes = { source: value }
-          const val = await nest(rightDesc, rightContext, changes)
-
-          set(left, target, val)
+        } else if (selected && typeof selected === 'object') {
+          const changes = { source: selected }
+          value = await nest(rightDesc, rightContext, changes)
+        } else {
+          write = false
         }
 
         // right descriptor is an array
       } else if (Array.isArray(rightDesc)) {
-        const promises = rightDesc.map(async (variant) => {
+        const values = await parallel(rightDesc, context.concurrency, async (variant) => {
           return await read(variant, rightContext)
         })
 
-        const value = await Promise.all(promises)
-        set(
-          left,
-          target,
-          value.find((item) => item !== undefined)
-        )
+        value = values.find((item) => item !== undefined)
 
         // right descriptor is an object
       } else {
-        const value = await get(rightDesc, rightContext)
-        set(left, target, value)
+        value = await get(rightDesc, rightContext)
+      }
+
+      if (scope !== context) {
+        context.errors.push(...scope.errors)
+
+        if (failed(scope.errors, context)) {
+          const errors = tolerate(scope.errors, context)
+
+          if (handler === undefined) {
+            write = false
+          } else {
+            // the handler's output is written in place of the value
+            value = await handle(handler, errors, context)
+            write = true
+          }
+        }
+      }
+
+      if (context.trace) {
+        emit(rightContext, { type: 'pairing-end', pointer: left, value, written: write })
+      }
+
+      if (write) {
+        // a conflicting write is reported at the pairing's paths
+        const before = context.errors.length
+        set(left, target, value, { ...rightContext, errors: context.errors })
+
+        // a conflicting write in a tolerant mapping omits only itself
+        if (tolerant) {
+          tolerate(context.errors.slice(before), context)
+        }
       }
 
-      // handle errors here?
-      // does this require some error handling descriptor
-      // in the mapping? mapping errors to responses!
-      if (context.errors.length > 0) {
-        return null
+      if (failed(context.errors, context)) {
+        return await recover(descriptor, context)
       }
     }
   }
 
   if (typeof descriptor.stdout === 'string') {
-    const output = JSONPointer.get(context.target, descriptor.stdout)
+    const output = pointer(descriptor.stdout, context).get(context.target)
     console.log(JSON.stringify(output, null, 2))
   } else if (descriptor.stdout) {
     console.log(context.target)
@@ -265,14 +469,79 @@ export async function map(next, previous) {
   return context.target
 }
 
+/**
+ * tolerate
+ *
+ * Marks the untolerated errors as tolerated (or handled) and returns them
+ */
+function tolerate(errors, context) {
+  const pending = errors.filter((error) => !context.tolerated.has(error))
+  pending.forEach((error) => context.tolerated.add(error))
+  return pending
+}
+
+/**
+ * recover
+ *
+ * Result of a failed mapping: the output of its onError handler when it has
+ * one, otherwise null
+ */
+async function recover(descriptor, context) {
+  if (descriptor.onError === undefined) {
+    return null
+  }
+
+  return await handle(descriptor.onError, tolerate(context.errors, context), context)
+}
+
+/**
+ * handle
+ *
+ * Evaluates an onError handler mapping (inline, registered id, or $ref)
+ * against `{ errors }`. Errors the handler itself raises are accumulated.
+ */
+async function handle(handler, errors, previous) {
+  const mapping = deref(handler, previous)
+  const nested = { source: '/', mapping: mapping?.mapping || mapping, $id: mapping?.$id }
+  const scope = { ...previous, errors: [] }
+  const context = shift(nested, scope, { source: { errors }, target: {} })
+  const output = await map(nested, context)
+
+  previous.errors.push(...scope.errors)
+  return output
+}
+
+/**
+ * emit
+ *
+ * Sends a trace event to the trace hook, with the context's provenance (as
+ * complain gives errors)
+ */
+function emit(context, event) {
+  const paths = { source: '/', target: '/', ...context.paths }
+  const indices = context.indices || []
+  const provenance = context.$id === undefined ? { paths, indices } : { paths, indices, $id: context.$id }
+
+  context.trace({ ...event, ...provenance })
+}
+
+/**
+ * failed
+ *
+ * Whether any of the errors went untolerated by a tolerant scope
+ */
+function failed(errors, context) {
+  return errors.some((error) => !context.tolerated.has(error))
+}
+
 /**
  * get
  */
 export async function get(descriptor, context) {
-  const problem = check(descriptor)
+  const problem = diagnose(descriptor, context)
 
   if (problem) {
-    complain(context.errors, typeof descriptor === 'string' ? {} : descriptor, problem)
+    complain(context, typeof descriptor === 'string' ? {} : descriptor, problem)
     return undefined
   }
 
@@ -280,31 +549,31 @@ export async function get(descriptor, context) {
 
   // direct reads with JSONPointer
   if (typeof descriptor === 'string' && descriptor.charAt(0) === '/') {
-    value = JSONPointer.get(context.source, descriptor)
+    value = pointer(descriptor, context).get(context.source)
   } else if (typeof descriptor === 'string' && descriptor.includes('../')) {
-    const resolved = resolve(context.paths.source, descriptor)
-    value = JSONPointer.get(context.input, resolved)
+    const path = resolved(context, context.paths.source, descriptor)
+    value = pointer(path, context).get(context.input)
   } else if (typeof descriptor === 'string') {
-    complain(context.errors, {}, { descriptor, message: 'unrecognized string descriptor' })
+    complain(context, {}, { descriptor, message: 'unrecognized string descriptor' })
     return undefined
   } else if (descriptor.source) {
-    value = JSONPointer.get(context.source, descriptor.source)
+    value = pointer(descriptor.source, context).get(context.source)
   } else if (descriptor.target) {
-    value = JSONPointer.get(context.target, descriptor.target)
+    value = pointer(descriptor.target, context).get(context.target)
   } else if (descriptor.input) {
-    value = JSONPointer.get(context.input, descriptor.input)
+    value = pointer(descriptor.input, context).get(context.input)
   } else if (descriptor.output) {
-    value = JSONPointer.get(context.output, descriptor.output)
+    value = pointer(descriptor.output, context).get(context.output)
 
     // recursive reads with get and map
   } else if (Array.isArray(descriptor.first)) {
-    const values = await all(descriptor.first, context)
+    const values = await all(descriptor.first, context, descriptor.concurrency)
     value = values.find((value) => value !== undefined)
   } else if (Array.isArray(descriptor.last)) {
-    const values = await all(descriptor.last, context)
+    const values = await all(descriptor.last, context, descriptor.concurrency)
     value = values.reverse().find((value) => value !== undefined)
   } else if (Array.isArray(descriptor.all)) {
-    const values = await all(descriptor.all, context)
+    const values = await all(descriptor.all, context, descriptor.concurrency)
     value = values.filter((item) => item !== undefined)
 
     // default starting value is source
@@ -312,26 +581,41 @@ export async function get(descriptor, context) {
     value = context.source // value is context.source by default
   }
 
+  if (context.trace) {
+    emit(context, { type: 'stage', stage: 'locate', descriptor, value })
+  }
+
   // switch
   if (descriptor?.switch) {
-    let branch
-
-    if (descriptor.switch.source) {
-      branch = JSONPointer.get(value, descriptor.switch.source)
-    } else if (descriptor.switch.input) {
-      branch = JSONPointer.get(context.input, descriptor.switch.input)
-    } else if (descriptor.switch.output) {
-      branch = JSONPointer.get(context.output, descriptor.switch.output)
+    const { source, input, output, target, cases = {}, when } = descriptor.switch
+    let branch = value
+
+    if (source !== undefined) {
+      branch = pointer(source, context).get(value)
+    } else if (input !== undefined) {
+      branch = pointer(input, context).get(context.input)
+    } else if (output !== undefined) {
+      branch = pointer(output, context).get(context.output)
+    } else if (target !== undefined) {
+      branch = pointer(target, context).get(context.target)
     }
 
-    if (branch) {
-      const cases = descriptor.switch.cases
-      const refDesc = cases[branch] || cases.default // use fallback
+    // an absent branch key leaves the value unswitched, unless tests decide
+    if (branch !== undefined || Array.isArray(when)) {
+      const tested = (when || []).find(
+        (entry) => entry.test === undefined || matches(entry.test, branch, context)
+      )
+      const key = branch === undefined ? undefined : label(branch)
+      const refDesc = tested ? tested.then : Object.hasOwn(cases, key) ? cases[key] : cases.default
 
       value = refDesc && (await read(refDesc, context, { source: value }))
     }
   }
 
+  if (context.trace) {
+    emit(context, { type: 'stage', stage: 'dispatch', descriptor, value })
+  }
+
   // handle plugin keywords.
   // here we effectively daisy chain the function calls.
   // value is mutated on each iteration if a plugin exists
@@ -340,56 +624,128 @@ export async function get(descriptor, context) {
 
     if (plugin) {
       const desc = descriptor[key]
-      const pointer = desc.pointer
-      value = await plugin(descriptor[key], value, context)
-      if (pointer) {
-        value = JSONPointer.get(value, pointer)
+
+      try {
+        value = desc?.cache
+          ? await cached(key, plugin, desc, value, context)
+          : await invoke(plugin, desc, value, context)
+      } catch (error) {
+        // an aborted evaluation rejects with the abort reason
+        context.signal?.throwIfAborted()
+
+        if (context.pluginErrors === 'throw') {
+          throw error
+        }
+
+        // a failed plugin ends the chain
+        complain(context, descriptor, failure(key, desc, error))
+        value = undefined
+        break
+      }
+
+      if (desc.pointer) {
+        value = pointer(desc.pointer, context).get(value)
       }
     }
   }
 
+  if (context.trace) {
+    emit(context, { type: 'stage', stage: 'plugins', descriptor, value })
+  }
+
   // initialize and transform
-  value = findValue(descriptor, value)
+  value = findValue(descriptor, value, context)
+  value = filterValues(descriptor, value, context)
   value = concatentateValues(descriptor, value)
+  value = flattenValues(descriptor, value)
+  value = distinctValues(descriptor, value, context)
+  value = sortValues(descriptor, value, context)
+  value = reverseValues(descriptor, value)
+  value = sliceValues(descriptor, value)
+  value = selectExtreme(descriptor, value, context)
+  value = groupValues(descriptor, value, context)
   value = initializeValue(descriptor, value, context)
   value = initializeConstant(descriptor, value)
   value = selectRandom(descriptor, value, context)
   value = await renderTemplate(descriptor, value, context)
   value = transformValue(descriptor, value, context)
 
+  if (context.trace) {
+    emit(context, { type: 'stage', stage: 'shape', descriptor, value })
+  }
+
   // validate
-  validateType(descriptor, value, context.errors)
-  validateMaximum(descriptor, value, context.errors)
-  validateMinimum(descriptor, value, context.errors)
-  validateMultipleOf(descriptor, value, context.errors)
-  validateMinLength(descriptor, value, context.errors)
-  validateMaxLength(descriptor, value, context.errors)
-  validateEnum(descriptor, value, context.errors)
-  validatePattern(descriptor, value, context.errors)
-  // validateFormat(descriptor, value, context)
-  validateRequired(descriptor, value, context.errors)
+  validate(descriptor, value, context)
+
+  if (context.trace) {
+    emit(context, { type: 'stage', stage: 'validate', descriptor, value })
+  }
 
   // finalize value
   value = initializeDefault(descriptor, value)
   value = regexpInsensitiveWrap(descriptor, value)
-  value = as(descriptor, value)
+  value = as(descriptor, value, context)
+
+  if (context.trace) {
+    emit(context, { type: 'stage', stage: 'finalize', descriptor, value })
+  }
 
   return value
 }
 
 /**
  * set
+ *
+ * Writes strictly (SPEC.md §4.3): a write that conflicts with the shape of the
+ * target is reported and leaves the target as it was.
  */
-export function set(descriptor, result, value) {
-  JSONPointer.set(result, descriptor, value)
+export function set(descriptor, result, value, context) {
+  try {
+    pointer(descriptor, context).add(result, value, JSONPointer.modes.STRICT)
+  } catch (error) {
+    if (error.pointer === undefined || !context?.errors) {
+      throw error
+    }
+
+    complain(context, {}, { target: descriptor, token: error.token, value, message: error.message })
+  }
 }
 
 /**
  * all
+ *
+ * Reads a list of descriptors, at most `limit` (else the context's
+ * concurrency) at a time
+ */
+export async function all(descriptors, context, limit) {
+  return await parallel(descriptors, define(limit, context.concurrency), async (descriptor) => {
+    return await read(descriptor, context)
+  })
+}
+
+/**
+ * parallel
+ *
+ * Maps items through an async function with at most `limit` calls in flight
+ * (unbounded when undefined), resolving to the results in item order
  */
-export async function all(descriptors, context) {
-  const promises = descriptors.map(async (descriptor) => await read(descriptor, context))
-  return await Promise.all(promises)
+async function parallel(items, limit, fn) {
+  if (!(limit < items.length)) {
+    return await Promise.all(items.map(fn))
+  }
+
+  const results = new Array(items.length)
+  let next = 0
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+
+  await Promise.all(Array.from({ length: limit }, worker))
+  return results
 }
 
 /**
@@ -397,7 +753,13 @@ export async function all(descriptors, context) {
  */
 export async function nest(descriptor, previous, changes) {
   const mapping = deref(descriptor.mapping || descriptor.each, previous)
-  const nested = { source: '/', mapping: mapping?.mapping || mapping }
+  const nested = {
+    source: '/',
+    mapping: mapping?.mapping || mapping,
+    tolerant: mapping?.tolerant,
+    onError: define(mapping?.onError, descriptor.onError),
+    $id: mapping?.$id
+  }
   const context = shift(nested, previous, { target: {}, ...changes })
 
   if (!mapping) {
@@ -416,13 +778,309 @@ export async function read(reference, previous, changes) {
   const reader = descriptor && (mapping ? map : get)
   const context = mapping ? shift(descriptor, previous, { target: {}, ...changes }) : previous
 
+  if (!admitted(descriptor, context)) {
+    return undefined
+  }
+
   return reader && (await reader(descriptor, context))
 }
 
+/**
+ * diagnose
+ *
+ * The check() result for a descriptor, from the plan when compiled
+ */
+function diagnose(descriptor, context) {
+  const problems = context.plan?.problems
+  return problems?.has(descriptor) ? problems.get(descriptor) : check(descriptor)
+}
+
+/**
+ * admitted
+ *
+ * Whether a descriptor's `when` condition holds and its `unless` condition
+ * does not
+ */
+function admitted(descriptor, context) {
+  if (!descriptor || typeof descriptor !== 'object' || Array.isArray(descriptor)) {
+    return true
+  }
+
+  // a descriptor with a problem is admitted, for get to report it
+  if (diagnose(descriptor, context)) {
+    return true
+  }
+
+  const { when, unless } = descriptor
+
+  return (when === undefined || holds(when, context)) && (unless === undefined || !holds(unless, context))
+}
+
+/**
+ * holds
+ *
+ * Whether a condition holds: a find predicate over one of the scopes — the
+ * source unless `scope` names input, output, or target. Conditions combined
+ * with and, or, and not inherit the scope unless they name their own.
+ *
+ *   { scope: 'input', exists: { '/flags/beta': true } }
+ */
+function holds(condition, context, inherited = 'source') {
+  const { scope = inherited, and, or, not, ...operators } = condition
+  const item = context[scope]
+
+  return (
+    matches(operators, item, context) &&
+    (and || []).every((member) => holds(member, context, scope)) &&
+    (or === undefined || or.some((member) => holds(member, context, scope))) &&
+    (not === undefined || !holds(not, context, scope))
+  )
+}
+
+/**
+ * compile
+ *
+ * Walks a descriptor and everything reachable from it once, recording in a
+ * plan the work map and get would otherwise repeat on every evaluation: parsed
+ * pointers, check() results, resolved references, and pairing lists. Registry
+ * references resolve against the mappings registered at compile time. Source
+ * paths depend on the input, so they are memoized as evaluation discovers them,
+ * except inside elements, whose paths are as many as the input's elements.
+ *
+ * The plan is consumed through the `plan` field of the context.
+ */
+export function compile(descriptor, context, plan) {
+  const mappings = context.mappings || {}
+  const visited = new Set()
+
+  plan = plan || {
+    pointers: new Map(),
+    problems: new Map(),
+    refs: new Map(),
+    pairings: new Map(),
+    paths: new Map()
+  }
+
+  // invalid pointers are left to fail at evaluation, if they are ever reached
+  const parse = (expr) => {
+    if (typeof expr === 'string' && !plan.pointers.has(expr)) {
+      try {
+        plan.pointers.set(expr, new JSONPointer(expr, 1))
+      } catch {}
+    }
+  }
+
+  // unknown references are left to be diagnosed at evaluation
+  const reference = (descriptor) => {
+    if (typeof descriptor === 'string') {
+      plan.refs.set(descriptor, mappings[descriptor] || descriptor)
+    } else if (descriptor?.$ref && mappings[descriptor.$ref] !== undefined) {
+      plan.refs.set(descriptor, mappings[descriptor.$ref])
+    }
+
+    return plan.refs.has(descriptor) ? plan.refs.get(descriptor) : descriptor
+  }
+
+  const visit = (descriptor) => {
+    if (descriptor === null || descriptor === undefined || visited.has(descriptor)) {
+      return
+    }
+
+    visited.add(descriptor)
+
+    if (Array.isArray(descriptor)) {
+      descriptor.forEach(visit)
+      return
+    }
+
+    if (typeof descriptor === 'string') {
+      plan.problems.set(descriptor, check(descriptor))
+
+      if (descriptor.charAt(0) === '/') {
+        parse(descriptor)
+      } else if (!descriptor.includes('../')) {
+        visit(reference(descriptor))
+      }
+
+      return
+    }
+
+    if (typeof descriptor !== 'object') {
+      return
+    }
+
+    plan.problems.set(descriptor, check(descriptor))
+
+    if (descriptor.$ref) {
+      visit(reference(descriptor))
+    }
+
+    parse(descriptor.source)
+    parse(descriptor.target)
+    parse(descriptor.input)
+    parse(descriptor.output)
+    parse(descriptor.find?.pointer)
+    parse(descriptor.filter?.pointer)
+    parse(descriptor.distinct)
+    parse(descriptor.groupBy)
+
+    for (const keyword of ['greatest', 'least', 'longest', 'shortest']) {
+      parse(descriptor[keyword])
+    }
+
+    for (const key of [].concat(descriptor.sort ?? [])) {
+      parse(typeof key === 'string' ? key : key?.pointer)
+    }
+    parse(descriptor.stdout)
+
+    // plugin options
+    for (const value of Object.values(descriptor)) {
+      parse(value?.pointer)
+    }
+
+    // nested and error handler mappings
+    for (const operand of [descriptor.mapping || descriptor.each, descriptor.onError]) {
+      const mapping = reference(operand)
+
+      if (mapping && typeof mapping === 'object') {
+        const pairings = mapping.mapping || mapping
+
+        if (!plan.pairings.has(pairings)) {
+          plan.pairings.set(pairings, Object.entries(pairings))
+        }
+
+        for (const [left, right] of plan.pairings.get(pairings)) {
+          parse(left)
+          visit(right)
+        }
+      }
+    }
+
+    for (const keyword of ['first', 'last', 'all']) {
+      if (Array.isArray(descriptor[keyword])) {
+        visit(descriptor[keyword])
+      }
+    }
+
+    if (descriptor.switch) {
+      parse(descriptor.switch.source)
+      parse(descriptor.switch.input)
+      parse(descriptor.switch.output)
+      parse(descriptor.switch.target)
+      Object.values(descriptor.switch.cases || {}).forEach(visit)
+
+      if (Array.isArray(descriptor.switch.when)) {
+        descriptor.switch.when.forEach((entry) => visit(entry?.then))
+      }
+    }
+  }
+
+  parse('/')
+  visit(descriptor)
+
+  return plan
+}
+
 /**
  * Initialization, transformation,  and validation functions
  */
 
+/**
+ * field
+ *
+ * The member of an item a predicate key names: a property name, or a JSON
+ * Pointer into the item when the key begins with "/"
+ */
+function field(item, key, context) {
+  if (key.charAt(0) === '/') {
+    return pointer(key, context).get(item)
+  }
+
+  return typeof item === 'object' && item !== null ? item[key] : undefined
+}
+
+/**
+ * compare
+ */
+function compare(operator, actual, operand) {
+  const comparable =
+    (typeof actual === 'number' || typeof actual === 'string') && typeof actual === typeof operand
+
+  switch (operator) {
+    case 'gt':
+      return comparable && actual > operand
+    case 'gte':
+      return comparable && actual >= operand
+    case 'lt':
+      return comparable && actual < operand
+    case 'lte':
+      return comparable && actual <= operand
+  }
+}
+
+/**
+ * typed
+ *
+ * Whether a value is of a JSON type, as the type keyword names them
+ */
+function typed(value, type) {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value)
+    case 'integer':
+      return Number.isInteger(value)
+    case 'null':
+      return value === null
+    case 'object':
+      return plain(value)
+    default:
+      return typeof value === type
+  }
+}
+
+/**
+ * matches
+ *
+ * Whether an item satisfies a predicate; every operator present must hold,
+ * and an empty predicate matches any item. An operator maps keys of the item
+ * to operands, or, when its operand is not an object, tests the item itself.
+ *
+ *   { eq: { kind: 'book' }, gte: { '/price/amount': 10 }, or: [{ ... }, { ... }] }
+ *   { gte: 18, type: 'integer' }
+ */
+function matches(predicate, item, context) {
+  const every = (operands, test) => {
+    if (operands === undefined) {
+      return true
+    }
+
+    if (!plain(operands)) {
+      return test(item, operands)
+    }
+
+    return Object.entries(operands).every(([key, operand]) => test(field(item, key, context), operand))
+  }
+
+  return (
+    every(predicate.eq, (actual, operand) => actual === operand) &&
+    every(predicate.ne, (actual, operand) => actual !== operand) &&
+    every(predicate.in, (actual, operand) => operand.includes(actual)) &&
+    every(predicate.gt, (actual, operand) => compare('gt', actual, operand)) &&
+    every(predicate.gte, (actual, operand) => compare('gte', actual, operand)) &&
+    every(predicate.lt, (actual, operand) => compare('lt', actual, operand)) &&
+    every(predicate.lte, (actual, operand) => compare('lte', actual, operand)) &&
+    every(
+      predicate.regex,
+      (actual, operand) => typeof actual === 'string' && new RegExp(operand).test(actual)
+    ) &&
+    every(predicate.exists, (actual, operand) => (actual !== undefined) === operand) &&
+    every(predicate.type, (actual, operand) => [].concat(operand).some((type) => typed(actual, type))) &&
+    (predicate.and || []).every((member) => matches(member, item, context)) &&
+    (predicate.or === undefined || predicate.or.some((member) => matches(member, item, context))) &&
+    (predicate.not === undefined || !matches(predicate.not, item, context))
+  )
+}
+
 /**
  * mapping:
  *   /item:
@@ -432,22 +1090,19 @@ export async function read(reference, previous, changes) {
  *         @_IdType: doi
  *       pointer: '#text'
  */
-function findValue(descriptor, value) {
+function findValue(descriptor, value, context) {
   // handle the case where value is an object, not an array
   // by wrapping it in an array.
   const { find } = descriptor
 
   if (find && typeof value === 'object' && value !== null) {
-    const { eq, pointer } = descriptor.find
     const list = Array.isArray(value) ? value : [value]
     let item
 
-    item = list.find((item) => {
-      return Object.entries(eq).every(([key, value]) => item[key] === value)
-    })
+    item = list.find((item) => matches(find, item, context))
 
-    if (item && pointer) {
-      item = JSONPointer.get(item, pointer)
+    if (item && find.pointer) {
+      item = pointer(find.pointer, context).get(item)
     }
 
     return item
@@ -456,7 +1111,29 @@ function findValue(descriptor, value) {
   return value
 }
 
-function concatentateValues(descriptor, values) {
+/**
+ * mapping:
+ *   /titles:
+ *     source: /books
+ *     filter:
+ *       lt:
+ *         /price/amount: 20
+ *       pointer: /title
+ */
+function filterValues(descriptor, value, context) {
+  const { filter } = descriptor
+
+  if (filter && typeof value === 'object' && value !== null) {
+    const list = Array.isArray(value) ? value : [value]
+    const items = list.filter((item) => matches(filter, item, context))
+
+    return filter.pointer ? items.map((item) => pointer(filter.pointer, context).get(item)) : items
+  }
+
+  return value
+}
+
+function concatentateValues(descriptor, values) {
   if (Array.isArray(values) && descriptor.concat) {
     return values.flat(1)
   } else {
@@ -464,6 +1141,205 @@ function concatentateValues(descriptor, values) {
   }
 }
 
+/**
+ * select
+ *
+ * The member of an item an aggregation keyword names: the item itself for
+ * `true`, otherwise the value its pointer reads
+ */
+function select(expr, item, context) {
+  return expr === true ? item : pointer(expr, context).get(item)
+}
+
+/**
+ * order
+ *
+ * Sort order of two values: numbers, then strings, then booleans, each in
+ * their natural order; other values tie, and undefined sorts last.
+ */
+function order(a, b) {
+  const rank = (value) => {
+    const index = ['number', 'string', 'boolean'].indexOf(typeof value)
+    return index !== -1 ? index : value === undefined ? 4 : 3
+  }
+
+  if (rank(a) !== rank(b)) {
+    return rank(a) - rank(b)
+  }
+
+  if (rank(a) < 3 && a !== b) {
+    return a < b ? -1 : 1
+  }
+
+  return 0
+}
+
+/**
+ * mapping:
+ *   /tags:
+ *     source: /posts
+ *     each: /tags
+ *     flatten: true
+ */
+function flattenValues(descriptor, values) {
+  const { flatten } = descriptor
+
+  if (Array.isArray(values) && (flatten === true || typeof flatten === 'number')) {
+    return values.flat(flatten === true ? Infinity : flatten)
+  }
+
+  return values
+}
+
+function distinctValues(descriptor, values, context) {
+  const { distinct } = descriptor
+
+  if (Array.isArray(values) && (distinct === true || typeof distinct === 'string')) {
+    const seen = new Set()
+
+    return values.filter((item) => {
+      const key = canonical(select(distinct, item, context))
+      const repeated = seen.has(key)
+
+      seen.add(key)
+      return !repeated
+    })
+  }
+
+  return values
+}
+
+/**
+ * mapping:
+ *   /people:
+ *     source: /people
+ *     sort:
+ *       - /last
+ *       - pointer: /age
+ *         order: desc
+ */
+function sortValues(descriptor, values, context) {
+  const { sort } = descriptor
+
+  if (Array.isArray(values) && sort !== undefined && sort !== false) {
+    const keys = [].concat(sort === true ? {} : sort).map((key) => {
+      return typeof key === 'string' ? { pointer: key } : key
+    })
+
+    // undefined sorts last in either order; the sort is stable
+    return [...values].sort((a, b) => {
+      for (const { pointer: expr, order: direction } of keys) {
+        const left = select(expr ?? true, a, context)
+        const right = select(expr ?? true, b, context)
+        const result = order(left, right)
+
+        if (result !== 0) {
+          const undefinedSide = left === undefined || right === undefined
+          return direction === 'desc' && !undefinedSide ? -result : result
+        }
+      }
+
+      return 0
+    })
+  }
+
+  return values
+}
+
+function reverseValues(descriptor, values) {
+  if (Array.isArray(values) && descriptor.reverse === true) {
+    return [...values].reverse()
+  }
+
+  return values
+}
+
+function sliceValues(descriptor, values) {
+  const { offset = 0, limit } = descriptor
+
+  if (Array.isArray(values) && (descriptor.offset !== undefined || limit !== undefined)) {
+    return values.slice(offset, limit === undefined ? undefined : offset + limit)
+  }
+
+  return values
+}
+
+/**
+ * selectExtreme
+ *
+ * greatest and least select the element whose (pointed) number, string, or
+ * boolean sorts last and first; longest and shortest the element whose
+ * (pointed) string or array is longest and shortest. Elements without such a
+ * value are passed over, and the earliest element wins ties.
+ */
+function selectExtreme(descriptor, values, context) {
+  if (!Array.isArray(values)) {
+    return values
+  }
+
+  const length = (value) => (typeof value === 'string' || Array.isArray(value) ? value.length : undefined)
+  const comparable = (value) => ['number', 'string', 'boolean'].includes(typeof value)
+  const measurable = (value) => length(value) !== undefined
+
+  const extremes = {
+    greatest: [comparable, (candidate, best) => order(candidate, best) > 0],
+    least: [comparable, (candidate, best) => order(candidate, best) < 0],
+    longest: [measurable, (candidate, best) => length(candidate) > length(best)],
+    shortest: [measurable, (candidate, best) => length(candidate) < length(best)]
+  }
+
+  for (const [keyword, [eligible, better]] of Object.entries(extremes)) {
+    const expr = descriptor[keyword]
+
+    if (expr === true || typeof expr === 'string') {
+      let selected
+      let best
+      let found = false
+
+      for (const item of values) {
+        const candidate = select(expr, item, context)
+
+        if (eligible(candidate) && (!found || better(candidate, best))) {
+          selected = item
+          best = candidate
+          found = true
+        }
+      }
+
+      return selected
+    }
+  }
+
+  return values
+}
+
+/**
+ * mapping:
+ *   /byCountry:
+ *     source: /people
+ *     groupBy: /address/country
+ */
+function groupValues(descriptor, values, context) {
+  const { groupBy } = descriptor
+
+  if (Array.isArray(values) && typeof groupBy === 'string') {
+    const groups = new Map()
+
+    // elements without the grouping value belong to no group
+    for (const item of values) {
+      const key = select(groupBy, item, context)
+
+      if (key !== undefined) {
+        groups.set(label(key), [...(groups.get(label(key)) || []), item])
+      }
+    }
+
+    return Object.fromEntries(groups)
+  }
+
+  return values
+}
+
 function initializeValue(descriptor, value, context) {
   const initializers = context.initializers
 
@@ -478,9 +1354,11 @@ function initializeValue(descriptor, value, context) {
   return value
 }
 
+// constants and defaults are copied, so that writes into the output never
+// reach the descriptor (and a later evaluation of it)
 function initializeConstant(descriptor, value) {
   if (descriptor.constant !== undefined) {
-    return descriptor.constant
+    return structuredClone(descriptor.constant)
   } else {
     return value
   }
@@ -490,7 +1368,7 @@ function initializeDefault(descriptor, value) {
   if (value !== undefined) {
     return value
   } else {
-    return descriptor.default
+    return structuredClone(descriptor.default)
   }
 }
 
@@ -501,22 +1379,55 @@ function regexpInsensitiveWrap(descriptor, value) {
   return value
 }
 
+/**
+ * renderTemplate
+ *
+ * Renders the template (see template.js) against the template data: the
+ * result of the descriptor's mapping applied to an object value, or else the
+ * value itself. Filters are registered transformers, or the built-in url and
+ * html encoders.
+ */
 async function renderTemplate(desc, value, previous) {
-  const { mapping, template } = desc
+  const { mapping, template, encode } = desc
+
+  if (typeof template !== 'string' || value === undefined || (mapping && typeof value !== 'object')) {
+    return value
+  }
+
+  let data = value
 
-  if (typeof value === 'object' && template && mapping) {
+  if (mapping) {
     const descriptor = deref({ mapping }, previous)
     const context = shift(descriptor, previous, { source: value })
 
-    const val = await map(descriptor, context)
+    data = await map(descriptor, context)
+  }
 
-    const pattern = /\{\{([^\}]+)\}\}/g
-    return template.replace(pattern, (_, param) => {
-      return val[param] || ''
-    })
+  const transformers = previous.transformers || {}
+
+  const filter = (value, name) => {
+    if (transformers[name]) {
+      return transformers[name](value, previous)
+    }
+
+    return encoders[name] ? encoders[name](text(value)) : value
   }
 
-  return value
+  const substitute = ({ ref, filters, fallback }) => {
+    let value = ref === '' ? data : field(data, ref, previous)
+
+    value = filters.reduce(filter, value)
+
+    if ((value === undefined || value === null) && fallback !== undefined) {
+      value = fallback
+    }
+
+    return encoders[encode] ? encoders[encode](text(value)) : text(value)
+  }
+
+  return tokenize(template)
+    .map((part) => (typeof part === 'string' ? part : substitute(part)))
+    .join('')
 }
 
 function transformValue(descriptor, value, context) {
@@ -579,7 +1490,6 @@ function transformValue(descriptor, value, context) {
  */
 function selectRandom(descriptor, value, context) {
   const { random, unique } = descriptor
-  const { errors } = context
 
   const select = (collection, min, max) => {
     const index = Math.floor(Math.random() * (max - min + 1) + min)
@@ -591,7 +1501,7 @@ function selectRandom(descriptor, value, context) {
     const max = value.length - 1
 
     if (unique && random > new Set(value).size) {
-      complain(errors, descriptor, {
+      complain(context, descriptor, {
         value,
         random,
         message: `cannot select ${random} unique members`
@@ -620,68 +1530,305 @@ function selectRandom(descriptor, value, context) {
   return value
 }
 
-function complain(errors, descriptor, error) {
+/**
+ * invoke
+ *
+ * Calls a plugin. With a `timeout` (milliseconds) in its options, the plugin
+ * is given a signal that also aborts when the timeout elapses, and an overrun
+ * rejects with a TimeoutError whether or not the plugin heeds the signal.
+ */
+async function invoke(plugin, options, value, context) {
+  if (options?.timeout === undefined) {
+    return await plugin(options, value, context)
+  }
+
+  const controller = new AbortController()
+  const signal = context.signal ? AbortSignal.any([context.signal, controller.signal]) : controller.signal
+  let timer
+
+  const overrun = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new DOMException(`plugin timed out after ${options.timeout}ms`, 'TimeoutError')
+      controller.abort(error)
+      reject(error)
+    }, options.timeout)
+  })
+
+  try {
+    const call = Promise.resolve(plugin(options, value, { ...context, signal }))
+
+    // settles unobserved when the overrun wins
+    call.catch(() => {})
+
+    return await Promise.race([call, overrun])
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * cached
+ *
+ * Calls a plugin whose options opt into caching with `cache: true` or
+ * `cache: { scope, ttl }`. Results are keyed by the JSON serialization of the
+ * plugin name, options, and pipeline value. The `invocation` scope (default)
+ * holds them for one invocation; the `evaluator` scope also keeps them in the
+ * evaluator's store across invocations. Identical calls in flight at once
+ * share one call. Failures are not kept, nor undefined results in the store.
+ */
+async function cached(name, plugin, options, value, context) {
+  const { scope = 'invocation', ttl } = options.cache === true ? {} : options.cache
+  const shared = scope === 'evaluator' && context.cache
+  const key = JSON.stringify([name, options, value])
+  const hit = context.memo.get(key)
+
+  // every call gets its own copy, so that writes into one output reach
+  // neither another output nor the store
+  if (hit && !(hit.expires <= Date.now())) {
+    return structuredClone(await hit.result)
+  }
+
+  const result = (async () => {
+    const stored = shared ? await context.cache.get(key) : undefined
+
+    if (stored !== undefined) {
+      return stored
+    }
+
+    const fresh = await invoke(plugin, options, value, context)
+
+    if (shared && fresh !== undefined) {
+      await context.cache.set(key, structuredClone(fresh), ttl)
+    }
+
+    return fresh
+  })()
+
+  const entry = { result, expires: ttl === undefined ? undefined : Date.now() + ttl }
+
+  context.memo.set(key, entry)
+
+  // a failure is retried by the next call
+  result.catch(() => context.memo.get(key) === entry && context.memo.delete(key))
+
+  return structuredClone(await result)
+}
+
+/**
+ * failure
+ *
+ * Error object for an exception thrown (or a promise rejected) by a plugin;
+ * an overrun of the plugin's timeout carries the timeout instead of a cause
+ */
+function failure(plugin, options, error) {
+  const message = error instanceof Error ? error.message : String(error)
+  const cause = error?.cause
+
+  if (error?.name === 'TimeoutError' && options?.timeout !== undefined) {
+    return { plugin, options, timeout: options.timeout, message }
+  }
+
+  return cause === undefined ? { plugin, options, message } : { plugin, options, message, cause }
+}
+
+/**
+ * complain
+ *
+ * Appends an error carrying the descriptor's locate keyword and, for
+ * provenance, the absolute source and target paths of the context, the index
+ * chain of enclosing elements, and the $id of the enclosing registered mapping.
+ */
+function complain(context, descriptor, error) {
   const { source, target, input, output } = descriptor
+  const { errors, $id } = context
+  const paths = { source: '/', target: '/', ...context.paths }
+  const indices = context.indices || []
+  const provenance = $id === undefined ? { paths, indices } : { paths, indices, $id }
 
-  if (source !== undefined) return errors.push({ source, ...error })
-  if (target !== undefined) return errors.push({ target, ...error })
-  if (input !== undefined) return errors.push({ input, ...error })
-  if (output !== undefined) return errors.push({ output, ...error })
+  if (source !== undefined) return errors.push({ source, ...error, ...provenance })
+  if (target !== undefined) return errors.push({ target, ...error, ...provenance })
+  if (input !== undefined) return errors.push({ input, ...error, ...provenance })
+  if (output !== undefined) return errors.push({ output, ...error, ...provenance })
 
-  errors.push(error)
+  errors.push({ ...error, ...provenance })
 }
 
-function validateType(descriptor, value, errors) {
+/**
+ * validate
+ *
+ * The validate stage. Structural keywords apply a schema — an object of
+ * validation keywords — to members of the value, through validate again, in
+ * a context whose paths point at the member. Composition keywords apply
+ * schemas to the value itself.
+ */
+function validate(descriptor, value, context) {
+  validateType(descriptor, value, context)
+  validateMaximum(descriptor, value, context)
+  validateExclusiveMaximum(descriptor, value, context)
+  validateMinimum(descriptor, value, context)
+  validateExclusiveMinimum(descriptor, value, context)
+  validateMultipleOf(descriptor, value, context)
+  validateMinLength(descriptor, value, context)
+  validateMaxLength(descriptor, value, context)
+  validateEnum(descriptor, value, context)
+  validateConst(descriptor, value, context)
+  validatePattern(descriptor, value, context)
+  validateFormat(descriptor, value, context)
+  validateMinItems(descriptor, value, context)
+  validateMaxItems(descriptor, value, context)
+  validateUniqueItems(descriptor, value, context)
+  validateItems(descriptor, value, context)
+  validateRequiredProperties(descriptor, value, context)
+  validateProperties(descriptor, value, context)
+  validateAdditionalProperties(descriptor, value, context)
+  validateAllOf(descriptor, value, context)
+  validateAnyOf(descriptor, value, context)
+  validateOneOf(descriptor, value, context)
+  validateNot(descriptor, value, context)
+  validateRequired(descriptor, value, context)
+}
+
+/**
+ * member
+ *
+ * Context for validating a member (array index or property name) of the value
+ */
+function member(context, token) {
+  const segment = `/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`
+  const { source, target } = { source: '/', target: '/', ...context.paths }
+  const paths = {
+    source: source === '/' ? segment : source + segment,
+    target: target === '/' ? segment : target + segment
+  }
+
+  return { ...context, paths }
+}
+
+/**
+ * alternatives
+ *
+ * The errors each schema finds in the value, one list per schema, accumulated
+ * apart from the evaluation's errors
+ */
+function alternatives(schemas, value, context) {
+  return schemas.map((schema) => {
+    const scope = { ...context, errors: [] }
+    validate(schema, value, scope)
+    return scope.errors
+  })
+}
+
+/**
+ * canonical
+ *
+ * JSON serialization with object keys sorted, for deep equality
+ */
+function canonical(value) {
+  return JSON.stringify(value, (key, member) => {
+    if (member && typeof member === 'object' && !Array.isArray(member)) {
+      return Object.fromEntries(
+        Object.keys(member)
+          .sort()
+          .map((name) => [name, member[name]])
+      )
+    }
+
+    return member
+  })
+}
+
+/**
+ * label
+ *
+ * A value as an object key: strings as they are, other values as canonical
+ * JSON text
+ */
+function label(value) {
+  return typeof value === 'string' ? value : canonical(value)
+}
+
+/**
+ * plain
+ */
+function plain(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+function validateType(descriptor, value, context) {
   const { type } = descriptor
   // ...
   if (value !== undefined && type !== undefined) {
     if (type === 'array' && !Array.isArray(value)) {
-      complain(errors, descriptor, { value, type, message: `must be an array` })
+      complain(context, descriptor, { value, type, message: `must be an array` })
     }
 
     if (type === 'boolean' && typeof value !== 'boolean') {
-      complain(errors, descriptor, { value, type, message: `must be true or false` })
+      complain(context, descriptor, { value, type, message: `must be true or false` })
     }
 
     if (type === 'integer' && !Number.isInteger(value)) {
-      complain(errors, descriptor, { value, type, message: `must be an integer` })
+      complain(context, descriptor, { value, type, message: `must be an integer` })
     }
 
     if (type === 'null' && value !== null) {
-      complain(errors, descriptor, { value, type, message: `must be null` })
+      complain(context, descriptor, { value, type, message: `must be null` })
     }
 
     if (type === 'number' && typeof value !== 'number') {
-      complain(errors, descriptor, { value, type, message: `must be a number` })
+      complain(context, descriptor, { value, type, message: `must be a number` })
     }
 
     if (type === 'object' && (typeof value !== 'object' || Array.isArray(value) || value === null)) {
-      complain(errors, descriptor, { value, type, message: `must be an object` })
+      complain(context, descriptor, { value, type, message: `must be an object` })
     }
 
     if (type === 'string' && typeof value !== 'string') {
-      complain(errors, descriptor, { value, type, message: `must be a string` })
+      complain(context, descriptor, { value, type, message: `must be a string` })
     }
   }
 }
 
-function validateMaximum(descriptor, value, errors) {
+function validateMaximum(descriptor, value, context) {
   const { maximum } = descriptor
 
   if (typeof maximum === 'number' && typeof value === 'number' && value > maximum) {
-    complain(errors, descriptor, { value, maximum, message: `cannot be greater than ${maximum}` })
+    complain(context, descriptor, { value, maximum, message: `cannot be greater than ${maximum}` })
+  }
+}
+
+function validateExclusiveMaximum(descriptor, value, context) {
+  const { exclusiveMaximum } = descriptor
+
+  if (typeof exclusiveMaximum === 'number' && typeof value === 'number' && value >= exclusiveMaximum) {
+    complain(context, descriptor, {
+      value,
+      exclusiveMaximum,
+      message: `must be less than ${exclusiveMaximum}`
+    })
   }
 }
 
-function validateMinimum(descriptor, value, errors) {
+function validateMinimum(descriptor, value, context) {
   const { minimum } = descriptor
 
   if (typeof minimum === 'number' && typeof value === 'number' && value < minimum) {
-    complain(errors, descriptor, { value, minimum, message: `cannot be less than ${minimum}` })
+    complain(context, descriptor, { value, minimum, message: `cannot be less than ${minimum}` })
+  }
+}
+
+function validateExclusiveMinimum(descriptor, value, context) {
+  const { exclusiveMinimum } = descriptor
+
+  if (typeof exclusiveMinimum === 'number' && typeof value === 'number' && value <= exclusiveMinimum) {
+    complain(context, descriptor, {
+      value,
+      exclusiveMinimum,
+      message: `must be greater than ${exclusiveMinimum}`
+    })
   }
 }
 
-function validateMultipleOf(descriptor, value, errors) {
+function validateMultipleOf(descriptor, value, context) {
   const { multipleOf } = descriptor
 
   if (typeof multipleOf === 'number' && typeof value === 'number') {
@@ -689,30 +1836,38 @@ function validateMultipleOf(descriptor, value, errors) {
     const pow = Math.pow(10, Math.max(decimals(value), decimals(multipleOf)))
 
     if (Math.round(value * pow) % Math.round(multipleOf * pow) !== 0) {
-      complain(errors, descriptor, { value, multipleOf, message: `must be a multiple of ${multipleOf}` })
+      complain(context, descriptor, { value, multipleOf, message: `must be a multiple of ${multipleOf}` })
     }
   }
 }
 
-function validateMinLength(descriptor, value, errors) {
+function validateMinLength(descriptor, value, context) {
   const { minLength } = descriptor
 
   if (typeof minLength === 'number' && typeof value === 'string' && value.length < minLength) {
-    complain(errors, descriptor, { value, minLength, message: `cannot be less than ${minLength} characters` })
+    complain(context, descriptor, {
+      value,
+      minLength,
+      message: `cannot be less than ${minLength} characters`
+    })
   }
 }
 
-function validateMaxLength(descriptor, value, errors = []) {
+function validateMaxLength(descriptor, value, context) {
   const { maxLength } = descriptor
 
   if (typeof maxLength === 'number' && typeof value === 'string' && value.length > maxLength) {
-    complain(errors, descriptor, { value, maxLength, message: `cannot be more than ${maxLength} characters` })
+    complain(context, descriptor, {
+      value,
+      maxLength,
+      message: `cannot be more than ${maxLength} characters`
+    })
   }
 }
 
-function validateEnum(descriptor, value, errors) {
+function validateEnum(descriptor, value, context) {
   if (value !== undefined && descriptor.enum?.indexOf(value) === -1) {
-    complain(errors, descriptor, {
+    complain(context, descriptor, {
       value,
       enum: descriptor.enum,
       message: `must be one of ${JSON.stringify(descriptor.enum)}`
@@ -720,46 +1875,216 @@ function validateEnum(descriptor, value, errors) {
   }
 }
 
-function validatePattern(descriptor, value, errors) {
+function validateConst(descriptor, value, context) {
+  if (
+    value !== undefined &&
+    Object.hasOwn(descriptor, 'const') &&
+    canonical(value) !== canonical(descriptor.const)
+  ) {
+    complain(context, descriptor, {
+      value,
+      const: descriptor.const,
+      message: `must equal ${JSON.stringify(descriptor.const)}`
+    })
+  }
+}
+
+function validatePattern(descriptor, value, context) {
   const { pattern } = descriptor
 
   if (typeof value === 'string' && !new RegExp(pattern).test(value)) {
-    complain(errors, descriptor, { value, pattern, message: `must match pattern` })
+    complain(context, descriptor, { value, pattern, message: `must match pattern` })
   }
 }
 
-function validateRequired(descriptor, value, errors) {
-  const { required } = descriptor
+function validateFormat(descriptor, value, context) {
+  const { format } = descriptor
 
-  if (required && value === undefined) {
-    complain(errors, descriptor, { required, message: `required value` })
+  if (format === undefined || typeof value !== 'string') {
+    return
+  }
+
+  const check = Object.hasOwn(context.formats, format) ? context.formats[format] : undefined
+
+  if (!check) {
+    complain(context, descriptor, { value, format, message: 'unknown format' })
+  } else if (!(check instanceof RegExp ? check.test(value) : check(value, context))) {
+    complain(context, descriptor, { value, format, message: `must be a valid ${format}` })
   }
 }
 
-function as(descriptor, value) {
-  const { as } = descriptor
+function validateMinItems(descriptor, value, context) {
+  const { minItems } = descriptor
 
-  if (value === undefined) {
-    return undefined
+  if (typeof minItems === 'number' && Array.isArray(value) && value.length < minItems) {
+    complain(context, descriptor, { value, minItems, message: `cannot have fewer than ${minItems} items` })
+  }
+}
+
+function validateMaxItems(descriptor, value, context) {
+  const { maxItems } = descriptor
+
+  if (typeof maxItems === 'number' && Array.isArray(value) && value.length > maxItems) {
+    complain(context, descriptor, { value, maxItems, message: `cannot have more than ${maxItems} items` })
+  }
+}
+
+function validateUniqueItems(descriptor, value, context) {
+  if (descriptor.uniqueItems === true && Array.isArray(value)) {
+    const seen = new Set()
+
+    // each repetition is reported at its own index
+    value.forEach((item, index) => {
+      const key = canonical(item)
+
+      if (seen.has(key)) {
+        complain(member(context, index), descriptor, {
+          value: item,
+          uniqueItems: true,
+          message: 'must not repeat an earlier item'
+        })
+      }
+
+      seen.add(key)
+    })
   }
+}
+
+function validateItems(descriptor, value, context) {
+  const { items } = descriptor
 
-  if (as === 'string') {
-    return value.toString()
+  if (plain(items) && Array.isArray(value)) {
+    value.forEach((item, index) => validate(items, item, member(context, index)))
   }
+}
 
-  if (as === 'number') {
-    return Number(value)
+function validateRequiredProperties(descriptor, value, context) {
+  const { requiredProperties } = descriptor
+
+  if (Array.isArray(requiredProperties) && plain(value)) {
+    for (const name of requiredProperties) {
+      if (value[name] === undefined) {
+        complain(member(context, name), descriptor, {
+          requiredProperties,
+          message: `missing required property ${name}`
+        })
+      }
+    }
   }
+}
+
+function validateProperties(descriptor, value, context) {
+  const { properties } = descriptor
 
-  if (as === 'boolean') {
-    return Boolean(value)
+  if (plain(properties) && plain(value)) {
+    for (const [name, schema] of Object.entries(properties)) {
+      validate(schema, value[name], member(context, name))
+    }
   }
+}
+
+function validateAdditionalProperties(descriptor, value, context) {
+  const { properties = {}, additionalProperties } = descriptor
 
-  if (as === 'json') {
-    return JSON.stringify(value)
+  if ((additionalProperties === false || plain(additionalProperties)) && plain(value)) {
+    for (const [name, item] of Object.entries(value)) {
+      if (Object.hasOwn(properties, name) || item === undefined) {
+        continue
+      }
+
+      if (additionalProperties === false) {
+        complain(member(context, name), descriptor, {
+          value: item,
+          additionalProperties: false,
+          message: `unknown property ${name}`
+        })
+      } else {
+        validate(additionalProperties, item, member(context, name))
+      }
+    }
   }
+}
 
-  return value
+function validateAllOf(descriptor, value, context) {
+  const { allOf } = descriptor
+
+  if (Array.isArray(allOf) && value !== undefined) {
+    const errors = alternatives(allOf, value, context)
+
+    if (errors.some((found) => found.length > 0)) {
+      complain(context, descriptor, { value, allOf, message: 'must match all schemas', errors })
+    }
+  }
+}
+
+function validateAnyOf(descriptor, value, context) {
+  const { anyOf } = descriptor
+
+  if (Array.isArray(anyOf) && value !== undefined) {
+    const errors = alternatives(anyOf, value, context)
+
+    if (errors.every((found) => found.length > 0)) {
+      complain(context, descriptor, { value, anyOf, message: 'must match at least one schema', errors })
+    }
+  }
+}
+
+function validateOneOf(descriptor, value, context) {
+  const { oneOf } = descriptor
+
+  if (Array.isArray(oneOf) && value !== undefined) {
+    const errors = alternatives(oneOf, value, context)
+    const matched = errors.filter((found) => found.length === 0).length
+
+    // a value matching several schemas gets empty lists for each of them
+    if (matched !== 1) {
+      complain(context, descriptor, { value, oneOf, message: 'must match exactly one schema', errors })
+    }
+  }
+}
+
+function validateNot(descriptor, value, context) {
+  const { not } = descriptor
+
+  if (plain(not) && value !== undefined) {
+    const [errors] = alternatives([not], value, context)
+
+    if (errors.length === 0) {
+      complain(context, descriptor, { value, not, message: 'must not match schema' })
+    }
+  }
+}
+
+function validateRequired(descriptor, value, context) {
+  const { required } = descriptor
+
+  if (required && value === undefined) {
+    complain(context, descriptor, { required, message: `required value` })
+  }
+}
+
+/**
+ * as
+ *
+ * Coerces the value at the finalize stage. A value the target cannot
+ * represent is reported and left as it was.
+ */
+function as(descriptor, value, context) {
+  const { as } = descriptor
+  const coerce = Object.hasOwn(coercions, as) ? coercions[as] : undefined
+
+  if (value === undefined || !coerce) {
+    return value
+  }
+
+  const coerced = coerce(value)
+
+  if (coerced === undefined) {
+    complain(context, descriptor, { value, as, message: `cannot coerce to ${as}` })
+    return value
+  }
+
+  return coerced
 }
 
 /**
@@ -822,6 +2147,69 @@ function merge(parent, descriptor, context) {
   }
 }
 
+/**
+ * apply
+ *
+ * Plugin registry with each plugin wrapped in the middleware, the first
+ * middleware outermost. Each middleware is applied once per plugin, with the
+ * plugin's name.
+ */
+function apply(plugins, middleware) {
+  if (!plugins || !middleware?.length) {
+    return plugins
+  }
+
+  const wrapped = {}
+
+  for (const [name, plugin] of Object.entries(plugins)) {
+    wrapped[name] = middleware.reduceRight((next, wrap) => wrap(next, name), plugin)
+  }
+
+  return wrapped
+}
+
+/**
+ * evaluate
+ *
+ * Evaluates a document against an input in a fresh context carrying the
+ * evaluator's options. Returns the target as MAP left it (`result`; an array
+ * input's wrapped as `{ items }`), the `output` it stands for, `valid` and
+ * `errors`.
+ */
+async function evaluate(mapper, descriptor, input, initial) {
+  const errors = []
+  const context = {
+    input,
+    errors,
+    mappings: mapper.mappings,
+    initializers: mapper.initializers,
+    transformers: mapper.transformers,
+    plugins: mapper.plugins,
+    formats: mapper.formats,
+    tolerant: mapper.tolerant,
+    pluginErrors: mapper.pluginErrors,
+    trace: mapper.trace,
+    concurrency: mapper.concurrency,
+    cache: mapper.cache,
+    memo: new Map(),
+    ...initial
+  }
+
+  let wrapped = mapper.normalize(descriptor)
+
+  if (Array.isArray(input)) {
+    context.input = { items: input }
+    wrapped = { mapping: { '/items': { source: '/items', each: wrapped } } }
+  }
+
+  // invoke map
+  const result = await map(wrapped, context)
+  const output = result && Array.isArray(input) ? result.items : result
+  const valid = errors.length < 1
+
+  return { result, output, valid, errors }
+}
+
 /**
  * Mapper
  */
@@ -844,41 +2232,66 @@ export default class Mapper {
 
     // extend all registered mappings here?
 
+    // a limit below one would start no branches at all
+    const concurrency = options.concurrency
+
+    if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency >= 1)) {
+      throw new Error(`concurrency must be a positive integer, not ${concurrency}`)
+    }
+
     Object.defineProperties(this, {
       initializers: { value: options.initializers },
       transformers: { value: options.transformers },
-      plugins: { value: options.plugins }
+      plugins: { value: apply(options.plugins, options.middleware) },
+      formats: { value: { ...builtinFormats, ...options.formats } },
+      envelope: { value: options.envelope || 'merged' },
+      tolerant: { value: options.tolerant === true },
+      pluginErrors: { value: options.pluginErrors || 'capture' },
+      trace: { value: options.trace },
+      concurrency: { value: concurrency },
+      cache: { value: options.cache || new LRUCache() }
     })
   }
 
+  /**
+   * validateDocument
+   *
+   * Checks a mapping document against the meta-schema (schema.js) and returns
+   * `{ valid, errors }`, each error carrying the pointer into the document.
+   */
+  static validateDocument(document) {
+    return validateDocument(document)
+  }
+
   /**
    * add
+   *
+   * Registers a mapping by $id. A structurally invalid mapping is rejected.
    */
   add(descriptor) {
     const $id = descriptor?.$id
 
     if ($id) {
+      const { valid, errors } = validateDescriptor(descriptor)
+
+      if (!valid) {
+        const [{ pointer, message }] = errors
+        throw Object.assign(new Error(`Invalid mapping "${$id}" at ${pointer || '/'}: ${message}`), {
+          errors
+        })
+      }
+
       this.mappings[$id] = descriptor
     }
   }
 
   /**
-   * map
+   * normalize
+   *
+   * Registers a compound document's mappings and returns the entry mapping's
+   * $id; wraps a bare mapping. Anything else is returned as is.
    */
-  async map(descriptor, input, initial) {
-    const errors = []
-    const context = {
-      input,
-      errors,
-      mappings: this.mappings,
-      initializers: this.initializers,
-      transformers: this.transformers,
-      plugins: this.plugins,
-      ...initial
-    }
-
-    let wrapped
-
+  normalize(descriptor) {
     if (typeof descriptor === 'object' && descriptor.mappings) {
       let mappings = Object.values(descriptor.mappings)
 
@@ -892,23 +2305,97 @@ export default class Mapper {
         this.mappings[$id] = extended
       }
 
-      wrapped = mappings.pop().$id
+      return mappings.pop().$id
     } else if (typeof descriptor === 'object' && !descriptor.mapping) {
-      wrapped = { mapping: descriptor }
+      return { mapping: descriptor }
     } else {
-      wrapped = descriptor
+      return descriptor
     }
+  }
 
-    //let wrapped = typeof descriptor === 'object' && !descriptor.mapping ? { mapping: descriptor } : descriptor
+  /**
+   * compile
+   *
+   * Normalizes a document once and returns a reusable `(input, initial) =>
+   * envelope` function with the same results as `map`. References resolve
+   * against the registry as it is at compile time.
+   */
+  compile(descriptor) {
+    const entry = this.normalize(descriptor)
+    const plan = compile(entry, { mappings: this.mappings })
 
-    if (Array.isArray(input)) {
-      context.input = { items: input }
-      wrapped = { mapping: { '/items': { source: '/items', each: wrapped } } }
-    }
+    // array inputs are wrapped at evaluation (see map)
+    plan.pointers.set('/items', new JSONPointer('/items', 1))
+
+    return async (input, initial) => await this.map(entry, input, { plan, ...initial })
+  }
+
+  /**
+   * lint
+   *
+   * Static diagnostics for a document against this evaluator's registries;
+   * nothing is evaluated or registered. See lint.js for the findings.
+   */
+  lint(document) {
+    return lint(document, {
+      mappings: this.mappings,
+      initializers: this.initializers,
+      transformers: this.transformers,
+      plugins: this.plugins,
+      formats: this.formats
+    })
+  }
+
+  /**
+   * explain
+   *
+   * Evaluates as `map` does while collecting a trace (see explain.js), and
+   * returns `{ result, explanation }`: the envelope, and for each pairing the
+   * steps by which its target got its value. A trace hook, the evaluator's or
+   * the initial context's, still receives every event.
+   */
+  async explain(descriptor, input, initial) {
+    const collector = explain()
+    const hook = initial?.trace || this.trace
+    const trace = hook
+      ? (event) => {
+          hook(event)
+          collector.trace(event)
+        }
+      : collector.trace
+    const result = await this.map(descriptor, input, { ...initial, trace })
+
+    return { result, explanation: collector.explanation() }
+  }
 
-    // invoke map
-    const result = await map(wrapped, context)
-    const valid = errors.length < 1
+  /**
+   * diff
+   *
+   * Evaluates as `map` does and returns `{ patch, valid, errors }`: the RFC
+   * 6902 patch turning `existing` into the output (`JSONPointer.diff`). An invalid
+   * evaluation's patch is empty, so applying it never discards data.
+   */
+  async diff(descriptor, input, existing, initial) {
+    const { output, valid, errors } = await evaluate(this, descriptor, input, initial)
+    const patch = valid ? JSONPointer.diff(existing, output) : []
+
+    return { patch, valid, errors }
+  }
+
+  /**
+   * map
+   *
+   * Evaluates a document against an input. The envelope is
+   * `{ ...output, valid, errors }`, or `{ output, valid, errors }` when the
+   * evaluator was constructed with `envelope: 'separate'`.
+   */
+  async map(descriptor, input, initial) {
+    const { result, output, valid, errors } = await evaluate(this, descriptor, input, initial)
+
+    // the output stands apart from the bookkeeping keys, as mapped
+    if (this.envelope === 'separate') {
+      return { output, valid, errors }
+    }
 
     return { ...result, valid, errors }
   }
@@ -0,0 +1,141 @@
+/**
+ * Copyright 2023 Christian Smith. All rights reserved.
+ */
+/**
+ * Coercions
+ *
+ * Targets of the `as` keyword (SPEC.md §6.6). A coercion maps a defined value
+ * to its target type, or to undefined when the value has no representation
+ * there — which the evaluator reports as a diagnostic.
+ */
+
+/**
+ * Boolean text, compared trimmed and case-insensitively
+ */
+const truthy = new Set(['true', 'yes', 'on', '1'])
+const falsy = new Set(['false', 'no', 'off', '0', ''])
+
+/**
+ * Decimal numeric text
+ */
+const decimal = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i
+
+/**
+ * ISO 8601 calendar date, optionally with a time and offset
+ */
+const iso = /^\d{4}-\d{2}-\d{2}(?:[t ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(z|[+-]\d{2}:\d{2})?)?$/i
+
+/**
+ * plain
+ */
+function plain(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * number
+ */
+function number(value) {
+  if (typeof value === 'number') {
+    return value
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0
+  }
+
+  if (typeof value === 'string' && decimal.test(value.trim())) {
+    const parsed = Number(value)
+    return Number.isFinite(parsed) ? parsed : undefined
+  }
+}
+
+/**
+ * calendar
+ *
+ * Whether year, month and day name a day of the calendar
+ */
+function calendar(text) {
+  const [year, month, day] = text.slice(0, 10).split('-').map(Number)
+  const moment = new Date(Date.UTC(year, month - 1, day))
+
+  return month >= 1 && month <= 12 && moment.getUTCDate() === day
+}
+
+/**
+ * date
+ *
+ * An ISO 8601 string or epoch milliseconds as a UTC date-time. A time without
+ * an offset is UTC.
+ */
+function date(value) {
+  let moment
+
+  if (typeof value === 'number') {
+    moment = new Date(value)
+  } else if (typeof value === 'string') {
+    const text = value.trim().toUpperCase().replace(' ', 'T')
+    const match = iso.exec(text)
+
+    if (match && calendar(text)) {
+      moment = new Date(text.length > 10 && !match[1] ? `${text}Z` : text)
+    }
+  }
+
+  return moment && !Number.isNaN(moment.getTime()) ? moment.toISOString() : undefined
+}
+
+/**
+ * parse
+ */
+function parse(value) {
+  if (typeof value !== 'string') {
+    return undefined
+  }
+
+  try {
+    return JSON.parse(value)
+  } catch {
+    return undefined
+  }
+}
+
+/**
+ * Exports
+ */
+export const coercions = {
+  string: (value) => {
+    return ['string', 'number', 'boolean'].includes(typeof value) ? String(value) : undefined
+  },
+  number,
+  integer: (value) => {
+    const coerced = number(value)
+    return Number.isInteger(coerced) ? coerced : undefined
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') {
+      return value
+    }
+
+    if (typeof value === 'number') {
+      return value !== 0
+    }
+
+    if (value === null) {
+      return false
+    }
+
+    if (typeof value === 'string') {
+      const text = value.trim().toLowerCase()
+      return truthy.has(text) ? true : falsy.has(text) ? false : undefined
+    }
+  },
+  date,
+  array: (value) => (Array.isArray(value) ? value : [value]),
+  object: (value) => {
+    const coerced = typeof value === 'string' ? parse(value) : value
+    return plain(coerced) ? coerced : undefined
+  },
+  json: (value) => JSON.stringify(value),
+  'parse-json': parse
+}
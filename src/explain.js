@@ -0,0 +1,66 @@
+/**
+ * Copyright 2023 Christian Smith. All rights reserved.
+ */
+/**
+ * explain
+ *
+ * A trace collector (SPEC.md §5.10). Pass its `trace` function as the trace
+ * hook of an evaluation; `explanation()` then lists one entry per pairing, in
+ * the order the pairings began, with the GET stages that produced the value
+ * written at its absolute target path:
+ *
+ *   {
+ *     target: '/name',
+ *     source: '/n',
+ *     descriptor: { source: '/n', transform: 'trim' },
+ *     steps: [{ stage: 'locate', value: ' Ada ' }, ..., { stage: 'finalize', value: 'Ada' }],
+ *     value: 'Ada',
+ *     written: true
+ *   }
+ *
+ * Stages evaluated for other descriptors on the pairing's behalf (variants,
+ * `first`/`last`/`all` members, switch cases) appear among its steps with
+ * their own `descriptor`. Nested pairings get entries of their own.
+ */
+export function explain() {
+  const fields = []
+  const open = new Map()
+
+  const trace = (event) => {
+    const at = event.paths.target
+    const field = open.get(at)
+
+    if (event.type === 'pairing-start') {
+      const started = {
+        target: at,
+        source: event.paths.source,
+        descriptor: event.descriptor,
+        steps: []
+      }
+
+      fields.push(started)
+      open.set(at, started)
+    } else if (event.type === 'stage' && field && !field.located) {
+      const { stage, descriptor, value } = event
+
+      if (descriptor === field.descriptor) {
+        field.steps.push({ stage, value })
+
+        // what follows the pairing's own pipeline is nested evaluation
+        field.located = stage === 'finalize'
+      } else {
+        field.steps.push({ stage, descriptor, value })
+      }
+    } else if (event.type === 'pairing-end' && field) {
+      field.value = event.value
+      field.written = event.written
+      open.delete(at)
+    }
+  }
+
+  const explanation = () => {
+    return fields.map(({ located, ...field }) => field)
+  }
+
+  return { trace, explanation }
+}
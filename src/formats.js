@@ -0,0 +1,135 @@
+/**
+ * Copyright 2023 Christian Smith. All rights reserved.
+ */
+/**
+ * Built-in formats
+ *
+ * Checks for the `format` keyword (SPEC.md §6.7), as JSON Schema 2020-12
+ * defines these formats. A format is a function `(value, context) -> boolean`
+ * or a RegExp, and applies to strings only. Hosts extend or override them
+ * through the evaluator's `formats` option.
+ */
+
+/**
+ * leap
+ */
+function leap(year) {
+  return year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0)
+}
+
+/**
+ * date (RFC 3339 full-date)
+ */
+function date(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value)
+
+  if (!match) {
+    return false
+  }
+
+  const [year, month, day] = match.slice(1).map(Number)
+  const days = [31, leap(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]
+
+  return month >= 1 && month <= 12 && day >= 1 && day <= days[month - 1]
+}
+
+/**
+ * time (RFC 3339 full-time: the offset is required)
+ */
+function time(value) {
+  const match = /^(\d{2}):(\d{2}):(\d{2})(?:\.\d+)?(?:z|([+-])(\d{2}):(\d{2}))$/i.exec(value)
+
+  if (!match) {
+    return false
+  }
+
+  const [hour, minute, second, , offsetHour, offsetMinute] = match.slice(1).map(Number)
+
+  // a leap second is allowed at the end of any minute
+  return (
+    hour <= 23 &&
+    minute <= 59 &&
+    second <= 60 &&
+    (match[4] === undefined || (offsetHour <= 23 && offsetMinute <= 59))
+  )
+}
+
+/**
+ * hostname (RFC 1123)
+ */
+function hostname(value) {
+  const label = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i
+
+  return value.length <= 253 && value.split('.').every((part) => label.test(part))
+}
+
+/**
+ * ipv4 (dotted quad, no leading zeros)
+ */
+function ipv4(value) {
+  return /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(value)
+}
+
+/**
+ * ipv6 (RFC 4291 text forms, including an embedded ipv4 tail)
+ */
+function ipv6(value) {
+  const halves = value.split('::')
+
+  if (halves.length > 2) {
+    return false
+  }
+
+  const groups = halves.flatMap((half) => (half === '' ? [] : half.split(':')))
+  let width = groups.length
+
+  // an ipv4 tail stands for two groups
+  if (halves[halves.length - 1].includes('.')) {
+    if (!ipv4(groups.pop())) {
+      return false
+    }
+
+    width = groups.length + 2
+  }
+
+  if (!groups.every((group) => /^[0-9a-f]{1,4}$/i.test(group))) {
+    return false
+  }
+
+  // '::' stands for at least one group
+  return halves.length === 2 ? width < 8 : width === 8
+}
+
+/**
+ * email (RFC 5321 mailbox, dot-atom local part)
+ */
+function email(value) {
+  const at = value.lastIndexOf('@')
+  const local = value.slice(0, at)
+  const domain = value.slice(at + 1)
+
+  return (
+    at > 0 &&
+    local.length <= 64 &&
+    /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i.test(local) &&
+    hostname(domain)
+  )
+}
+
+/**
+ * Exports
+ */
+export const formats = {
+  'date-time': (value) => {
+    const [day, clock, ...rest] = value.split(/t/i)
+    return rest.length === 0 && clock !== undefined && date(day) && time(clock)
+  },
+  date,
+  time,
+  email,
+  uri: /^[a-z][a-z0-9+.-]*:[^\s<>"{}|\\^`]*$/i,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  ipv4,
+  ipv6,
+  hostname
+}
@@ -1,3 +1,10 @@
 import Mapper from './Mapper.js'
+import { schema } from './schema.js'
+import { explain } from './explain.js'
+import LRUCache from './LRUCache.js'
+import JSONPointer from './JSONPointer.js'
+import * as middleware from './middleware.js'
+import * as stdlib from './stdlib.js'
 
 export default Mapper
+export { schema, explain, LRUCache, JSONPointer, middleware, stdlib }
@@ -0,0 +1,334 @@
+/**
+ * Copyright 2023 Christian Smith. All rights reserved.
+ */
+/**
+ * Dependencies
+ */
+import JSONPointer from './JSONPointer.js'
+import { schema } from './schema.js'
+import { formats as builtinFormats } from './formats.js'
+import { tokenize, encoders } from './template.js'
+
+/**
+ * Keywords
+ *
+ * The descriptor vocabulary of SPEC.md §6, as the meta-schema lists it. Any
+ * other key on a descriptor is either a registered plugin or a mistake.
+ */
+const keywords = new Set(Object.keys(schema.$defs.descriptor.properties))
+
+/**
+ * child
+ */
+function child(pointer, token) {
+  return `${pointer}/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`
+}
+
+/**
+ * invalid
+ *
+ * Problem message for a pointer expression, or null when it is valid
+ */
+function invalid(expr) {
+  if (typeof expr !== 'string') {
+    return 'pointer must be a string'
+  }
+
+  try {
+    new JSONPointer(expr)
+  } catch {
+    return 'invalid pointer'
+  }
+
+  if (expr.charAt(0) === '/' && expr.split('/').includes('..')) {
+    return 'pointer must not contain .. segments'
+  }
+
+  return null
+}
+
+/**
+ * lint
+ *
+ * Statically inspects a mapping document against the registries in context,
+ * without evaluating it. Returns a list of findings, each carrying the JSON
+ * Pointer into the document where it occurs:
+ *
+ *   { pointer: '/mapping/~1name/transform/0', transform: 'trim', message: 'unknown transformer' }
+ *   { pointer: '/mapping/~1name/source', value: 'name', message: 'invalid pointer' }
+ *   { pointer: '/mapping/~1email/format', format: 'e-mail', message: 'unknown format' }
+ *   { pointer: '/mapping/~1greeting/template', filter: 'upper', message: 'unknown filter' }
+ */
+export function lint(document, context) {
+  const findings = []
+  const mappings = { ...context.mappings }
+  const initializers = context.initializers || {}
+  const transformers = context.transformers || {}
+  const plugins = context.plugins || {}
+  const formats = context.formats || builtinFormats
+
+  const report = (pointer, finding) => findings.push({ pointer, ...finding })
+
+  const location = (pointer, expr) => {
+    const message = invalid(expr)
+
+    if (message) {
+      report(pointer, { value: expr, message })
+    }
+  }
+
+  const reference = (pointer, keyword, id) => {
+    if (mappings[id] === undefined) {
+      report(pointer, { [keyword]: id, message: 'unknown mapping reference' })
+    }
+  }
+
+  const mapping = (value, pointer) => {
+    if (typeof value === 'string') {
+      reference(pointer, 'mapping', value)
+    } else if (value?.$ref !== undefined) {
+      reference(child(pointer, '$ref'), '$ref', value.$ref)
+    } else if (value?.mapping !== undefined) {
+      // a descriptor wrapping the mapping, as { mapping, onError }
+      descriptor(value, pointer)
+    } else if (value && typeof value === 'object') {
+      for (const [left, right] of Object.entries(value)) {
+        const at = child(pointer, left)
+
+        location(at, left)
+        descriptor(right, at)
+      }
+    }
+  }
+
+  const transform = (steps, pointer) => {
+    const names = (step) => (typeof step === 'string' ? [step] : Object.keys(step || {}))
+
+    if (Array.isArray(steps)) {
+      steps.forEach((step, index) => {
+        for (const name of names(step)) {
+          if (!transformers[name]) {
+            report(child(pointer, index), { transform: name, message: 'unknown transformer' })
+          }
+        }
+      })
+    } else if (typeof steps === 'string' && !transformers[steps]) {
+      report(pointer, { transform: steps, message: 'unknown transformer' })
+    }
+  }
+
+  const expression = (pattern, pointer) => {
+    try {
+      new RegExp(pattern)
+    } catch {
+      report(pointer, { regex: pattern, message: 'invalid regular expression' })
+    }
+  }
+
+  const predicate = (value, pointer) => {
+    for (const [operator, operands] of Object.entries(value || {})) {
+      const at = child(pointer, operator)
+
+      // a regex operand is a pattern, or patterns keyed by item field
+      if (operator === 'regex' && operands && typeof operands === 'object') {
+        Object.entries(operands).forEach(([key, pattern]) => expression(pattern, child(at, key)))
+      } else if (operator === 'regex') {
+        expression(operands, at)
+      }
+
+      if ((operator === 'and' || operator === 'or') && Array.isArray(operands)) {
+        operands.forEach((member, index) => predicate(member, child(at, index)))
+      } else if (operator === 'not') {
+        predicate(operands, at)
+      } else if (operator !== 'pointer' && operands && typeof operands === 'object') {
+        // keys that begin with "/" point into the item
+        for (const key of Object.keys(operands)) {
+          if (key.charAt(0) === '/') {
+            location(child(at, key), key)
+          }
+        }
+      }
+    }
+  }
+
+  const sortKey = (key, pointer) => {
+    if (typeof key === 'string') {
+      location(pointer, key)
+    } else if (key?.pointer !== undefined) {
+      location(child(pointer, 'pointer'), key.pointer)
+    }
+  }
+
+  const descriptor = (value, pointer) => {
+    if (typeof value === 'string') {
+      if (value.charAt(0) === '/') {
+        location(pointer, value)
+      } else if (!value.includes('../') && mappings[value] === undefined) {
+        report(pointer, { descriptor: value, message: 'unrecognized string descriptor' })
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach((variant, index) => descriptor(variant, child(pointer, index)))
+    } else if (value && typeof value === 'object') {
+      keyed(value, pointer)
+    }
+  }
+
+  const keyed = (value, pointer) => {
+    for (const [key, operand] of Object.entries(value)) {
+      const at = child(pointer, key)
+
+      switch (key) {
+        case 'source':
+        case 'target':
+        case 'input':
+        case 'output':
+          location(at, operand)
+          break
+
+        case 'mapping':
+        case 'each':
+        case 'onError':
+          mapping(operand, at)
+          break
+
+        case '$ref':
+          reference(at, '$ref', operand)
+          break
+
+        case '$extend':
+          if (Array.isArray(operand)) {
+            operand.forEach((id, index) => reference(child(at, index), '$extend', id))
+          } else {
+            reference(at, '$extend', operand)
+          }
+          break
+
+        case 'first':
+        case 'last':
+        case 'all':
+          if (Array.isArray(operand)) {
+            descriptor(operand, at)
+          }
+          break
+
+        case 'switch':
+          for (const scope of ['source', 'input', 'output', 'target']) {
+            if (operand?.[scope] !== undefined) {
+              location(child(at, scope), operand[scope])
+            }
+          }
+
+          if (Array.isArray(operand?.when)) {
+            operand.when.forEach((entry, index) => {
+              predicate(entry?.test, child(child(child(at, 'when'), index), 'test'))
+              descriptor(entry?.then, child(child(child(at, 'when'), index), 'then'))
+            })
+          }
+
+          if (operand?.cases && typeof operand.cases === 'object') {
+            for (const [branch, variant] of Object.entries(operand.cases)) {
+              descriptor(variant, child(child(at, 'cases'), branch))
+            }
+          } else if (!Array.isArray(operand?.when)) {
+            report(at, { message: 'switch has no cases' })
+          }
+          break
+
+        case 'find':
+        case 'filter':
+        case 'when':
+        case 'unless':
+          if (operand?.pointer !== undefined) {
+            location(child(at, 'pointer'), operand.pointer)
+          }
+
+          predicate(operand, at)
+          break
+
+        case 'init':
+          if (!initializers[operand]) {
+            report(at, { init: operand, message: 'unknown initializer' })
+          }
+          break
+
+        case 'transform':
+          transform(operand, at)
+          break
+
+        case 'template':
+          if (typeof operand === 'string') {
+            for (const part of tokenize(operand)) {
+              if (part.ref?.charAt(0) === '/') {
+                location(at, part.ref)
+              }
+
+              for (const name of part.filters || []) {
+                if (!transformers[name] && !encoders[name]) {
+                  report(at, { filter: name, message: 'unknown filter' })
+                }
+              }
+            }
+          }
+          break
+
+        case 'format':
+          if (!Object.hasOwn(formats, operand)) {
+            report(at, { format: operand, message: 'unknown format' })
+          }
+          break
+
+        case 'distinct':
+        case 'groupBy':
+        case 'greatest':
+        case 'least':
+        case 'longest':
+        case 'shortest':
+        case 'stdout':
+          if (typeof operand === 'string') {
+            location(at, operand)
+          }
+          break
+
+        case 'sort':
+          if (Array.isArray(operand)) {
+            operand.forEach((key, index) => sortKey(key, child(at, index)))
+          } else {
+            sortKey(operand, at)
+          }
+          break
+
+        default:
+          if (plugins[key]) {
+            if (operand?.pointer !== undefined) {
+              location(child(at, 'pointer'), operand.pointer)
+            }
+          } else if (!keywords.has(key)) {
+            if (operand && typeof operand === 'object' && !Array.isArray(operand)) {
+              report(at, { plugin: key, message: 'unknown plugin' })
+            } else {
+              report(at, { keyword: key, message: 'unknown keyword' })
+            }
+          }
+      }
+    }
+  }
+
+  if (document && typeof document === 'object' && document.mappings) {
+    // mappings in a compound document are registered before evaluation
+    for (const registered of Object.values(document.mappings)) {
+      if (registered?.$id) {
+        mappings[registered.$id] = registered
+      }
+    }
+
+    for (const [key, registered] of Object.entries(document.mappings)) {
+      descriptor(registered, child('/mappings', key))
+    }
+  } else if (document && typeof document === 'object' && !Array.isArray(document) && !document.mapping) {
+    mapping(document, '')
+  } else {
+    descriptor(document, '')
+  }
+
+  return findings
+}
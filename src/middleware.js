@@ -0,0 +1,182 @@
+/**
+ * Copyright 2023 Christian Smith. All rights reserved.
+ */
+/**
+ * Built-in plugin middleware
+ *
+ * Each export is a factory taking its configuration and returning a
+ * middleware for the evaluator's `middleware` option (SPEC.md §7.4):
+ *
+ *   middleware(next, name) -> async (options, value, context) -> value
+ *
+ * where `next` is the plugin (or the middleware inside it) and `name` the
+ * plugin's registered name. A middleware is applied once per plugin, when the
+ * evaluator is constructed, so state it keeps per name lasts as long as the
+ * evaluator.
+ */
+
+/**
+ * sleep
+ *
+ * Resolves after ms, or rejects with the abort reason when the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted()
+
+    const abort = () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', abort)
+      resolve()
+    }, ms)
+
+    signal?.addEventListener('abort', abort, { once: true })
+  })
+}
+
+/**
+ * logging
+ *
+ * Reports every plugin call to `log` (console.log by default) as
+ * `{ plugin, options, ms }`, with the error's `error` message when it failed.
+ */
+export function logging(config) {
+  const log = config?.log || ((entry) => console.log(entry))
+
+  return (next, name) => async (options, value, context) => {
+    const start = Date.now()
+
+    try {
+      const result = await next(options, value, context)
+      log({ plugin: name, options, ms: Date.now() - start })
+      return result
+    } catch (error) {
+      log({ plugin: name, options, ms: Date.now() - start, error: error?.message ?? String(error) })
+      throw error
+    }
+  }
+}
+
+/**
+ * retry
+ *
+ * Calls again after a failure, up to `retries` times (default 3), waiting
+ * `delay` ms (default 100) before the first retry and `factor` (default 2)
+ * times longer before each next one. `when(error)` selects the failures worth
+ * retrying (default all). An aborted evaluation is not retried.
+ */
+export function retry(config) {
+  const { retries = 3, delay = 100, factor = 2, when = () => true } = config || {}
+
+  return (next) => async (options, value, context) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await next(options, value, context)
+      } catch (error) {
+        if (attempt >= retries || context?.signal?.aborted || !when(error)) {
+          throw error
+        }
+
+        await sleep(delay * factor ** attempt, context?.signal)
+      }
+    }
+  }
+}
+
+/**
+ * circuitBreaker
+ *
+ * Per plugin: after `threshold` (default 5) consecutive failures the circuit
+ * opens and calls fail at once with "circuit open: <name>". After `reset` ms
+ * (default 30000) one trial call is let through; success closes the circuit,
+ * failure opens it again.
+ */
+export function circuitBreaker(config) {
+  const { threshold = 5, reset = 30000 } = config || {}
+
+  return (next, name) => {
+    const circuit = { failures: 0, opened: undefined }
+
+    return async (options, value, context) => {
+      if (circuit.opened !== undefined) {
+        if (Date.now() - circuit.opened < reset) {
+          throw new Error(`circuit open: ${name}`)
+        }
+
+        // half open: this call is the trial
+        circuit.opened = Date.now()
+      }
+
+      try {
+        const result = await next(options, value, context)
+        circuit.failures = 0
+        circuit.opened = undefined
+        return result
+      } catch (error) {
+        circuit.failures++
+
+        if (circuit.opened !== undefined || circuit.failures >= threshold) {
+          circuit.opened = Date.now()
+        }
+
+        throw error
+      }
+    }
+  }
+}
+
+/**
+ * rateLimit
+ *
+ * Per plugin token bucket: holds up to `burst` tokens (default `rate`) and
+ * gains `rate` tokens every `interval` ms (default 1000). Each call takes a
+ * token, waiting for one when none is left. A `rate` or `interval` that is
+ * not a positive number, or a `burst` below 1, is rejected.
+ */
+export function rateLimit(config) {
+  const { rate, interval = 1000 } = config || {}
+  const burst = config?.burst ?? rate
+
+  // any other bucket never holds a whole token, and calls wait forever
+  if (!(Number.isFinite(rate) && rate > 0)) {
+    throw new Error(`rateLimit: rate must be a positive number, not ${rate}`)
+  }
+
+  if (!(Number.isFinite(interval) && interval > 0)) {
+    throw new Error(`rateLimit: interval must be a positive number, not ${interval}`)
+  }
+
+  if (!(Number.isFinite(burst) && burst >= 1)) {
+    throw new Error(`rateLimit: burst must be a number of at least 1, not ${burst}`)
+  }
+
+  return (next) => {
+    const bucket = { tokens: burst, refilled: Date.now() }
+
+    const take = async (signal) => {
+      for (;;) {
+        const now = Date.now()
+        const gained = ((now - bucket.refilled) * rate) / interval
+
+        bucket.tokens = Math.min(burst, bucket.tokens + gained)
+        bucket.refilled = now
+
+        if (bucket.tokens >= 1) {
+          bucket.tokens -= 1
+          return
+        }
+
+        await sleep(Math.ceil(((1 - bucket.tokens) * interval) / rate), signal)
+      }
+    }
+
+    return async (options, value, context) => {
+      await take(context?.signal)
+      return await next(options, value, context)
+    }
+  }
+}
@@ -0,0 +1,432 @@
+/**
+ * Copyright 2023 Christian Smith. All rights reserved.
+ */
+/**
+ * operand
+ *
+ * A predicate operator's operand, testing the item itself, or an object of
+ * such operands keyed by property name or pointer
+ */
+function operand(type, constraints) {
+  return {
+    type: [].concat(type, 'object'),
+    if: { type: 'object' },
+    then: { additionalProperties: { type, ...constraints } },
+    else: constraints
+  }
+}
+
+/**
+ * JSON type names
+ */
+const types = ['array', 'boolean', 'integer', 'null', 'number', 'object', 'string']
+
+/**
+ * Predicate operators of find, filter, conditions, and switch tests
+ */
+const operators = {
+  eq: {},
+  ne: {},
+  in: operand('array'),
+  gt: operand(['number', 'string']),
+  gte: operand(['number', 'string']),
+  lt: operand(['number', 'string']),
+  lte: operand(['number', 'string']),
+  regex: operand('string'),
+  exists: operand('boolean'),
+  type: operand(['string', 'array'], {
+    items: { enum: types },
+    if: { type: 'string' },
+    then: { enum: types }
+  }),
+  and: { type: 'array', items: { $ref: '#/$defs/predicate' } },
+  or: { type: 'array', items: { $ref: '#/$defs/predicate' } },
+  not: { $ref: '#/$defs/predicate' }
+}
+
+/**
+ * Mapping document meta-schema
+ *
+ * JSON Schema (2020-12) for the document grammar of SPEC.md §3.3 and the
+ * descriptor keywords of §6. It describes structure only: whether references
+ * resolve and extension names are registered is for lint to say.
+ */
+export const schema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'Mapper mapping document',
+  type: ['string', 'object'],
+  if: { type: 'object', required: ['mappings'] },
+  then: { $ref: '#/$defs/compound' },
+  else: { $ref: '#/$defs/operand' },
+  $defs: {
+    compound: {
+      type: 'object',
+      properties: {
+        mappings: {
+          type: 'object',
+          additionalProperties: { $ref: '#/$defs/registered' }
+        }
+      }
+    },
+    registered: {
+      allOf: [{ $ref: '#/$defs/descriptor' }],
+      type: 'object',
+      required: ['$id']
+    },
+    pointer: {
+      type: 'string',
+      pattern: '^(?:[/#]|$)'
+    },
+    mapping: {
+      type: ['string', 'object'],
+      properties: {
+        $ref: { type: 'string' }
+      },
+      propertyNames: { pattern: '^(?:[/#]|\\$ref$|$)' },
+      additionalProperties: { $ref: '#/$defs/descriptor' }
+    },
+    operand: {
+      if: { type: 'object', required: ['mapping'] },
+      then: { $ref: '#/$defs/descriptor' },
+      else: { $ref: '#/$defs/mapping' }
+    },
+    descriptors: {
+      type: 'array',
+      items: { $ref: '#/$defs/descriptor' }
+    },
+    schema: {
+      allOf: [{ $ref: '#/$defs/descriptor' }],
+      type: 'object'
+    },
+    selector: {
+      type: ['boolean', 'string'],
+      if: { type: 'string' },
+      then: { $ref: '#/$defs/pointer' }
+    },
+    sortKey: {
+      type: ['string', 'object'],
+      if: { type: 'string' },
+      then: { $ref: '#/$defs/pointer' },
+      else: {
+        properties: {
+          pointer: { $ref: '#/$defs/pointer' },
+          order: { enum: ['asc', 'desc'] }
+        },
+        additionalProperties: false
+      }
+    },
+    predicate: {
+      type: 'object',
+      properties: operators,
+      additionalProperties: false
+    },
+    condition: {
+      type: 'object',
+      properties: {
+        ...operators,
+        scope: { enum: ['source', 'input', 'output', 'target'] },
+        and: { type: 'array', items: { $ref: '#/$defs/condition' } },
+        or: { type: 'array', items: { $ref: '#/$defs/condition' } },
+        not: { $ref: '#/$defs/condition' }
+      },
+      additionalProperties: false
+    },
+    selection: {
+      type: 'object',
+      properties: { ...operators, pointer: { $ref: '#/$defs/pointer' } },
+      additionalProperties: false
+    },
+    descriptor: {
+      type: ['string', 'array', 'object'],
+      items: { $ref: '#/$defs/descriptor' },
+      properties: {
+        // reading
+        source: { $ref: '#/$defs/pointer' },
+        target: { $ref: '#/$defs/pointer' },
+        input: { $ref: '#/$defs/pointer' },
+        output: { $ref: '#/$defs/pointer' },
+
+        // structure
+        mapping: { $ref: '#/$defs/operand' },
+        each: { $ref: '#/$defs/operand' },
+
+        // registry
+        $id: { type: 'string' },
+        $ref: { type: 'string' },
+        $extend: { type: ['string', 'array'], items: { type: 'string' } },
+        description: { type: 'string' },
+
+        // combinators
+        first: { $ref: '#/$defs/descriptors' },
+        last: { $ref: '#/$defs/descriptors' },
+        all: { $ref: '#/$defs/descriptors' },
+        concat: { type: 'boolean' },
+
+        // aggregation
+        flatten: { type: ['boolean', 'integer'], minimum: 0 },
+        distinct: { $ref: '#/$defs/selector' },
+        sort: {
+          type: ['boolean', 'string', 'object', 'array'],
+          if: { type: 'array' },
+          then: { items: { $ref: '#/$defs/sortKey' } },
+          else: { if: { type: ['string', 'object'] }, then: { $ref: '#/$defs/sortKey' } }
+        },
+        reverse: { type: 'boolean' },
+        offset: { type: 'integer', minimum: 0 },
+        limit: { type: 'integer', minimum: 0 },
+        greatest: { $ref: '#/$defs/selector' },
+        least: { $ref: '#/$defs/selector' },
+        longest: { $ref: '#/$defs/selector' },
+        shortest: { $ref: '#/$defs/selector' },
+        groupBy: { $ref: '#/$defs/pointer' },
+
+        // dispatch and selection
+        switch: {
+          type: 'object',
+          if: { required: ['when'] },
+          else: { required: ['cases'] },
+          properties: {
+            source: { $ref: '#/$defs/pointer' },
+            input: { $ref: '#/$defs/pointer' },
+            output: { $ref: '#/$defs/pointer' },
+            target: { $ref: '#/$defs/pointer' },
+            cases: { type: 'object', additionalProperties: { $ref: '#/$defs/descriptor' } },
+            when: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['then'],
+                properties: {
+                  test: { $ref: '#/$defs/predicate' },
+                  then: { $ref: '#/$defs/descriptor' }
+                },
+                additionalProperties: false
+              }
+            }
+          }
+        },
+        when: { $ref: '#/$defs/condition' },
+        unless: { $ref: '#/$defs/condition' },
+        find: { $ref: '#/$defs/selection' },
+        filter: { $ref: '#/$defs/selection' },
+
+        // value pipeline
+        init: { type: 'string' },
+        constant: {},
+        random: { type: 'integer', minimum: 1 },
+        unique: { type: 'boolean' },
+        template: { type: 'string' },
+        encode: { enum: ['url', 'html'] },
+        transform: { type: ['string', 'array'], items: { type: ['string', 'object'] } },
+        default: {},
+        regexp_i: { type: 'boolean' },
+        as: {
+          enum: ['string', 'number', 'integer', 'boolean', 'date', 'array', 'object', 'json', 'parse-json']
+        },
+
+        // validation
+        type: { enum: types },
+        minimum: { type: 'number' },
+        maximum: { type: 'number' },
+        exclusiveMinimum: { type: 'number' },
+        exclusiveMaximum: { type: 'number' },
+        multipleOf: { type: 'number', exclusiveMinimum: 0 },
+        minLength: { type: 'integer', minimum: 0 },
+        maxLength: { type: 'integer', minimum: 0 },
+        enum: { type: 'array' },
+        pattern: { type: 'string' },
+        format: { type: 'string' },
+        const: {},
+        minItems: { type: 'integer', minimum: 0 },
+        maxItems: { type: 'integer', minimum: 0 },
+        uniqueItems: { type: 'boolean' },
+        items: { $ref: '#/$defs/schema' },
+        properties: { type: 'object', additionalProperties: { $ref: '#/$defs/schema' } },
+        requiredProperties: { type: 'array', items: { type: 'string' } },
+        additionalProperties: {
+          type: ['boolean', 'object'],
+          if: { type: 'object' },
+          then: { $ref: '#/$defs/schema' }
+        },
+        allOf: { type: 'array', items: { $ref: '#/$defs/schema' } },
+        anyOf: { type: 'array', items: { $ref: '#/$defs/schema' } },
+        oneOf: { type: 'array', items: { $ref: '#/$defs/schema' } },
+        not: { $ref: '#/$defs/schema' },
+        required: { type: 'boolean' },
+
+        // evaluation
+        tolerant: { type: 'boolean' },
+        onError: { $ref: '#/$defs/operand' },
+        concurrency: { type: 'integer', minimum: 1 },
+
+        // diagnostics
+        stdout: { type: ['boolean', 'string'] }
+      }
+    }
+  }
+}
+
+/**
+ * Type names, as they read in messages
+ */
+const nouns = {
+  array: 'an array',
+  boolean: 'a boolean',
+  integer: 'an integer',
+  null: 'null',
+  number: 'a number',
+  object: 'an object',
+  string: 'a string'
+}
+
+/**
+ * typeOf
+ */
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+/**
+ * conforms
+ */
+function conforms(type, value) {
+  return typeOf(value) === type || (type === 'integer' && Number.isInteger(value))
+}
+
+/**
+ * child
+ */
+function child(pointer, token) {
+  return `${pointer}/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`
+}
+
+/**
+ * resolve
+ *
+ * Local references only: '#' or '#/$defs/name'
+ */
+function resolve(ref) {
+  return ref
+    .slice(2)
+    .split('/')
+    .filter(Boolean)
+    .reduce((node, token) => node[token], schema)
+}
+
+/**
+ * validate
+ *
+ * Applies the subset of JSON Schema the meta-schema uses, appending an error
+ * object per failed constraint: the pointer into the document, the failing
+ * schema keyword and its operand, and a message.
+ */
+function validate(node, value, pointer, errors) {
+  const fail = (error) => errors.push({ pointer, ...error })
+
+  if (node.$ref) {
+    validate(node.$ref === '#' ? schema : resolve(node.$ref), value, pointer, errors)
+  }
+
+  for (const member of node.allOf || []) {
+    validate(member, value, pointer, errors)
+  }
+
+  if (node.if) {
+    const branch = valid(node.if, value) ? node.then : node.else
+
+    if (branch) {
+      validate(branch, value, pointer, errors)
+    }
+  }
+
+  if (node.type !== undefined) {
+    const types = [].concat(node.type)
+
+    if (!types.some((type) => conforms(type, value))) {
+      fail({ type: node.type, message: `must be ${types.map((type) => nouns[type]).join(' or ')}` })
+      return
+    }
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    fail({ enum: node.enum, message: `must be one of ${JSON.stringify(node.enum)}` })
+  }
+
+  if (typeof value === 'number') {
+    if (node.minimum !== undefined && value < node.minimum) {
+      fail({ minimum: node.minimum, message: `cannot be less than ${node.minimum}` })
+    }
+
+    if (node.exclusiveMinimum !== undefined && value <= node.exclusiveMinimum) {
+      fail({
+        exclusiveMinimum: node.exclusiveMinimum,
+        message: `must be greater than ${node.exclusiveMinimum}`
+      })
+    }
+  }
+
+  if (typeof value === 'string' && node.pattern && !new RegExp(node.pattern, 'u').test(value)) {
+    fail({ pattern: node.pattern, message: 'must match pattern' })
+  }
+
+  if (Array.isArray(value) && node.items) {
+    value.forEach((item, index) => validate(node.items, item, child(pointer, index), errors))
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const property of node.required || []) {
+      if (value[property] === undefined) {
+        fail({ required: property, message: `missing required property ${property}` })
+      }
+    }
+
+    for (const [key, member] of Object.entries(value)) {
+      const at = child(pointer, key)
+
+      if (node.propertyNames) {
+        validate(node.propertyNames, key, at, errors)
+      }
+
+      if (node.properties && Object.hasOwn(node.properties, key)) {
+        validate(node.properties[key], member, at, errors)
+      } else if (node.additionalProperties === false) {
+        errors.push({ pointer: at, additionalProperties: false, message: 'unknown property' })
+      } else if (node.additionalProperties) {
+        validate(node.additionalProperties, member, at, errors)
+      }
+    }
+  }
+}
+
+/**
+ * valid
+ */
+function valid(node, value) {
+  const errors = []
+  validate(node, value, '', errors)
+  return errors.length < 1
+}
+
+/**
+ * validateDocument
+ *
+ * Checks a mapping document (any form of §3.3) against the meta-schema.
+ */
+export function validateDocument(document) {
+  const errors = []
+  validate(schema, document, '', errors)
+  return { valid: errors.length < 1, errors }
+}
+
+/**
+ * validateDescriptor
+ *
+ * Checks a single descriptor, e.g. a mapping being registered.
+ */
+export function validateDescriptor(descriptor) {
+  const errors = []
+  validate(schema.$defs.descriptor, descriptor, '', errors)
+  return { valid: errors.length < 1, errors }
+}
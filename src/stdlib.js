@@ -0,0 +1,205 @@
+/**
+ * Copyright 2023 Christian Smith. All rights reserved.
+ */
+/**
+ * Standard library
+ *
+ * Opt-in transformers and initializers with the semantics SPEC.md §7.7
+ * specifies, for merging into the evaluator's registries:
+ *
+ *   new Mapper(mappings, {
+ *     transformers: { ...stdlib.transformers, ...own },
+ *     initializers: { ...stdlib.initializers }
+ *   })
+ *
+ * Every transformer passes a value of a type it does not handle through
+ * unchanged. Parameters come from the step object, under the transformer's
+ * own name (`{ split: ', ' }`); one that requires a parameter passes the value
+ * through without it.
+ */
+
+/**
+ * Dependencies
+ */
+import JSONPointer from './JSONPointer.js'
+
+/**
+ * plain
+ */
+function plain(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * moment
+ *
+ * The Date an ISO 8601 string or epoch milliseconds denote, or undefined
+ */
+function moment(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return undefined
+  }
+
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? undefined : date
+}
+
+/**
+ * pointer
+ *
+ * The parsed JSON Pointer, or undefined when the expression is not one
+ */
+function pointer(expr) {
+  try {
+    return new JSONPointer(expr, JSONPointer.modes.RECOVER)
+  } catch {
+    return undefined
+  }
+}
+
+/**
+ * parameterized
+ *
+ * Passes the value through when the step carries no parameter under `name`,
+ * as a bare step does
+ */
+function parameterized(name, fn) {
+  return (value, context, options) => (options?.[name] === undefined ? value : fn(value, context, options))
+}
+
+/**
+ * strings
+ */
+function strings(fn) {
+  return (value, context, options) => (typeof value === 'string' ? fn(value, options) : value)
+}
+
+/**
+ * numbers
+ */
+function numbers(fn) {
+  return (value, context, options) => (typeof value === 'number' ? fn(value, options) : value)
+}
+
+/**
+ * arrays
+ */
+function arrays(fn) {
+  return (value, context, options) => (Array.isArray(value) ? fn(value, options) : value)
+}
+
+/**
+ * objects
+ */
+function objects(fn) {
+  return (value, context, options) => (plain(value) ? fn(value, options) : value)
+}
+
+/**
+ * dates
+ */
+function dates(fn) {
+  return (value) => {
+    const date = moment(value)
+    return date ? fn(date) : value
+  }
+}
+
+/**
+ * Transformers
+ */
+export const transformers = {
+  // strings
+  trim: strings((value) => value.trim()),
+  trimStart: strings((value) => value.trimStart()),
+  trimEnd: strings((value) => value.trimEnd()),
+  upcase: strings((value) => value.toUpperCase()),
+  downcase: strings((value) => value.toLowerCase()),
+  capitalize: strings((value) => value.charAt(0).toUpperCase() + value.slice(1)),
+  split: strings((value, options) => value.split(options?.split ?? '')),
+  replace: parameterized(
+    'replace',
+    strings((value, options) => {
+      const [pattern, replacement = ''] = options.replace
+      return value.replaceAll(pattern, replacement)
+    })
+  ),
+
+  // numbers
+  round: numbers((value, options) => {
+    const scale = 10 ** (options?.round ?? 0)
+    return Math.round(value * scale) / scale
+  }),
+  floor: numbers((value) => Math.floor(value)),
+  ceil: numbers((value) => Math.ceil(value)),
+  abs: numbers((value) => Math.abs(value)),
+
+  // dates
+  'date-time': dates((date) => date.toISOString()),
+  date: dates((date) => date.toISOString().slice(0, 10)),
+  epoch: dates((date) => date.getTime()),
+
+  // strings and arrays
+  length: (value) => (typeof value === 'string' || Array.isArray(value) ? value.length : value),
+  slice: parameterized('slice', (value, context, options) => {
+    const [start, end] = [].concat(options.slice)
+    return typeof value === 'string' || Array.isArray(value) ? value.slice(start, end) : value
+  }),
+
+  // objects and arrays
+  pluck: parameterized('pluck', (value, context, options) => {
+    const pluck = pointer(options.pluck)
+
+    if (pluck === undefined) {
+      return value
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item) => pluck.get(item))
+    }
+
+    return plain(value) ? pluck.get(value) : value
+  }),
+
+  // arrays
+  first: arrays((value) => value[0]),
+  last: arrays((value) => value[value.length - 1]),
+  join: arrays((value, options) => value.join(options?.join ?? ',')),
+  compact: arrays((value) => value.filter((item) => item !== undefined && item !== null)),
+  sum: arrays((value) =>
+    value.filter((item) => typeof item === 'number').reduce((sum, item) => sum + item, 0)
+  ),
+  merge: arrays((value) => Object.assign({}, ...value.filter(plain))),
+  fromEntries: arrays((value) => Object.fromEntries(value.filter(Array.isArray))),
+
+  // objects
+  keys: objects((value) => Object.keys(value)),
+  values: objects((value) => Object.values(value)),
+  entries: objects((value) => Object.entries(value)),
+  pick: parameterized(
+    'pick',
+    objects((value, options) => {
+      const names = [].concat(options.pick)
+      return Object.fromEntries(
+        names.filter((key) => Object.hasOwn(value, key)).map((key) => [key, value[key]])
+      )
+    })
+  ),
+  omit: parameterized(
+    'omit',
+    objects((value, options) => {
+      const names = [].concat(options.omit)
+      return Object.fromEntries(Object.entries(value).filter(([key]) => !names.includes(key)))
+    })
+  )
+}
+
+/**
+ * Initializers
+ */
+export const initializers = {
+  uuid: () => crypto.randomUUID(),
+  'date-time': () => new Date().toISOString(),
+  date: () => new Date().toISOString().slice(0, 10),
+  timestamp: () => Date.now()
+}
@@ -0,0 +1,88 @@
+/**
+ * Copyright 2023 Christian Smith. All rights reserved.
+ */
+/**
+ * Template syntax
+ *
+ * Placeholders of the `template` keyword (SPEC.md §6.6):
+ *
+ *   {{ name }}                    top-level property of the template data
+ *   {{ /author/0/name }}          JSON Pointer into the template data
+ *   {{ name | trim | upcase }}    filters, applied in order
+ *   {{ name ?? anonymous }}       default text for an undefined or null value
+ *   \{{ name }}                   literal "{{ name }}"
+ *
+ * Default text may be quoted to keep surrounding spaces.
+ */
+
+/**
+ * Built-in encoding filters
+ */
+export const encoders = {
+  url: (value) => encodeURIComponent(value),
+  html: (value) =>
+    value.replace(/[&<>"']/g, (char) => {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+    })
+}
+
+/**
+ * unquote
+ */
+function unquote(text) {
+  const match = /^(['"])(.*)\1$/s.exec(text)
+  return match ? match[2] : text
+}
+
+/**
+ * tokenize
+ *
+ * Splits a template into literal strings and placeholders, each
+ * `{ ref, filters, fallback }` with `fallback` undefined when no default text
+ * is given
+ */
+export function tokenize(template) {
+  const parts = []
+  const pattern = /(\\?)\{\{(.*?)\}\}/gs
+  let last = 0
+
+  for (const match of template.matchAll(pattern)) {
+    const [whole, escaped, body] = match
+    const literal = template.slice(last, match.index)
+
+    if (escaped) {
+      parts.push(literal + whole.slice(1))
+    } else {
+      const at = body.indexOf('??')
+      const expr = at === -1 ? body : body.slice(0, at)
+      const [ref, ...filters] = expr.split('|').map((token) => token.trim())
+      const fallback = at === -1 ? undefined : unquote(body.slice(at + 2).trim())
+
+      parts.push(literal, { ref, filters, fallback })
+    }
+
+    last = match.index + whole.length
+  }
+
+  parts.push(template.slice(last))
+
+  return parts.filter((part) => part !== '')
+}
+
+/**
+ * text
+ *
+ * A substituted value as text: strings as they are, undefined and null as
+ * nothing, other values as JSON
+ */
+export function text(value) {
+  if (typeof value === 'string') {
+    return value
+  }
+
+  if (value === undefined || value === null) {
+    return ''
+  }
+
+  return JSON.stringify(value)
+}
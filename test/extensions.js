@@ -8,8 +8,10 @@
  *   initializer(value, context)             -> value
  *   transformer(value, context, options?)   -> value   (options = the step object)
  *   plugin(descriptor[key], value, context) -> Promise<value>
+ *   format(value, context)                  -> boolean   (or a RegExp)
  */
 import JSONPointer from '../src/JSONPointer.js'
+import LRUCache from '../src/LRUCache.js'
 
 export const initializers = {
   uuid: () => 'urn:uuid:00000000-0000-4000-8000-000000000000',
@@ -31,6 +33,16 @@ export const transformers = {
   pluck: (value, context, options) => JSONPointer.get(value, options.pluck)
 }
 
+// in-flight call counts of the inflight plugin, and call counts of the
+// counted plugin, by counter name
+const counters = {}
+export const calls = {}
+
+export const formats = {
+  sku: /^[A-Z]{3}-\d{4}$/,
+  even: (value) => /^\d+$/.test(value) && Number(value) % 2 === 0
+}
+
 export const plugins = {
   echo: async (options, value) => ({ options, value }),
   wrap: async (options, value) => ({ [options.key || 'wrapped']: value }),
@@ -38,8 +50,55 @@ export const plugins = {
     await new Promise((resolve) => setTimeout(resolve, options.ms || 1))
     return value
   },
-  failing: async () => {
-    throw new Error('plugin failure: failing')
+  // waits `ms` (from the value, else the options), then reports alongside the
+  // value the most calls sharing its counter name ever in flight at once
+  inflight: async (options, value) => {
+    const counter = (counters[options.counter] ||= { active: 0, peak: 0 })
+    counter.active++
+    counter.peak = Math.max(counter.peak, counter.active)
+    await new Promise((resolve) => setTimeout(resolve, value?.ms ?? options.ms ?? 1))
+    counter.active--
+    return { value, peak: counter.peak }
+  },
+  // reports alongside the value its call's number among those sharing its counter name
+  counted: async (options, value) => {
+    const count = (calls[options.counter] = (calls[options.counter] || 0) + 1)
+    await new Promise((resolve) => setTimeout(resolve, 1))
+    return { value, calls: count }
+  },
+  // fails until its counter has seen more than `failures` calls
+  flaky: async (options, value) => {
+    const count = (calls[options.counter] = (calls[options.counter] || 0) + 1)
+
+    if (count <= options.failures) {
+      throw new Error(`plugin failure: flaky (call ${count})`)
+    }
+
+    return value
+  },
+  // like delayed, but gives up when its signal aborts
+  slow: async (options, value, context) => {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, options.ms || 1)
+
+      context.signal?.addEventListener(
+        'abort',
+        () => {
+          clearTimeout(timer)
+          reject(context.signal.reason)
+        },
+        { once: true }
+      )
+    })
+
+    return value
+  },
+  signalled: async (options, value, context) => context.signal instanceof AbortSignal,
+  failing: async (options) => {
+    throw new Error(
+      'plugin failure: failing',
+      options.cause === undefined ? undefined : { cause: options.cause }
+    )
   },
   // deterministic lookup used by the worked examples (SPEC.md §9.2):
   // the pipeline value carries the parameters, options carries the shape
@@ -55,3 +114,31 @@ export const plugins = {
     return value
   }
 }
+
+// middleware only the test suite uses, by name; each takes its configuration
+// from the case
+export const middleware = {
+  // wraps the plugin's result as { [key]: { plugin, result } }
+  tag: (config) => (next, name) => async (options, value, context) => ({
+    [config.key]: { plugin: name, result: await next(options, value, context) }
+  })
+}
+
+// plugin-result stores a case names as its cache option, { <name>: <config> }
+export const stores = {
+  lru: (config) => new LRUCache(config),
+  // an asynchronous store already holding `entries`, key -> value
+  preloaded: (config) => {
+    const entries = new Map(Object.entries(config.entries || {}))
+
+    return {
+      get: async (key) => entries.get(key),
+      set: async (key, value) => {
+        entries.set(key, value)
+      },
+      delete: async (key) => {
+        entries.delete(key)
+      }
+    }
+  }
+}
@@ -8,9 +8,12 @@ import { parse } from '@std/yaml'
 import { assert, assertEquals, assertStringIncludes, fail } from '@std/assert'
 import Mapper, { map, get, shift, extend } from '../src/Mapper.js'
 import JSONPointer from '../src/JSONPointer.js'
-import { initializers, transformers, plugins } from './extensions.js'
+import * as builtins from '../src/middleware.js'
+import * as stdlib from '../src/stdlib.js'
+import { initializers, transformers, plugins, formats, middleware, stores, calls } from './extensions.js'
 
 const UNDEFINED = '__undefined__'
+const EXPECTATIONS = ['value', 'result', 'errors', 'valid', 'stdout']
 
 const casesDir = new URL('./cases/', import.meta.url)
 const files = [...Deno.readDirSync(casesDir)]
@@ -36,13 +39,20 @@ for (const file of files) {
 async function run(suite, test) {
   const level = test.level || suite.level || 'mapper'
   const mappings = test.mappings || {}
-  const options = { initializers, transformers, plugins }
+  const registries = (test.stdlib ?? suite.stdlib) ? stdlib : { initializers, transformers }
+  const options = { ...registries, plugins, formats, ...suite.options, ...test.options }
+
   const errors = []
   const stdout = captureStdout(test)
+  const abort = abortAfter(test)
 
   let value, result, threw
 
   try {
+    // built inside, so that a factory rejecting its configuration can be a case's throws
+    if (options.middleware) options.middleware = compose(options.middleware)
+    if (options.cache) options.cache = store(options.cache)
+
     if (level === 'get') {
       const context = shift(test.descriptor, { input: test.input, errors, mappings, ...options })
       value = await get(test.descriptor, context)
@@ -50,9 +60,41 @@ async function run(suite, test) {
       result = await map(test.descriptor, { input: test.input, errors, mappings, ...options })
     } else if (level === 'extend') {
       result = extend(test.descriptor, { mappings })
+    } else if (level === 'mapper' && test.inputs) {
+      const mapper = new Mapper({ mappings }, options)
+      result = []
+      for (const input of test.inputs) result.push(await mapper.map(test.id ?? test.descriptor, input))
     } else if (level === 'mapper') {
       const mapper = new Mapper({ mappings }, options)
-      result = await mapper.map(test.id ?? test.descriptor, test.input)
+      result = await mapper.map(test.id ?? test.descriptor, test.input, abort.initial)
+    } else if (level === 'compile') {
+      const mapper = new Mapper({ mappings }, options)
+      const evaluate = mapper.compile(test.id ?? test.descriptor)
+      const first = await evaluate(test.input)
+      result = await evaluate(test.input)
+      assertValue(result, canon(first), 'compiled plan reuse')
+    } else if (level === 'lint') {
+      const mapper = new Mapper({ mappings }, options)
+      result = mapper.lint(test.descriptor)
+    } else if (level === 'explain') {
+      const mapper = new Mapper({ mappings }, options)
+      result = await mapper.explain(test.id ?? test.descriptor, test.input)
+    } else if (level === 'trace') {
+      const events = []
+      const mapper = new Mapper({ mappings }, { ...options, trace: (event) => events.push(event) })
+      await mapper.map(test.id ?? test.descriptor, test.input)
+      result = events
+    } else if (level === 'validate') {
+      result = Mapper.validateDocument(test.descriptor)
+    } else if (level === 'diff') {
+      const mapper = new Mapper({ mappings }, options)
+      const separate = new Mapper({ mappings }, { ...options, envelope: 'separate' })
+      result = await mapper.diff(test.id ?? test.descriptor, test.input, test.existing)
+      const { output } = await separate.map(test.id ?? test.descriptor, test.input)
+      const patched = JSONPointer.applyPatch(test.existing, result.patch)
+      if (result.valid) assertValue(patched, canon(output), 'patch applied to existing')
+    } else if (level === 'patch') {
+      result = JSONPointer.applyPatch(test.input, test.descriptor)
     } else {
       fail(`unknown level "${level}"`)
     }
@@ -60,6 +102,7 @@ async function run(suite, test) {
     threw = error
   } finally {
     stdout.restore()
+    abort.clear()
   }
 
   // thrown errors
@@ -68,21 +111,28 @@ async function run(suite, test) {
     if (typeof test.throws === 'string') {
       assertStringIncludes(String(threw.message ?? threw), test.throws)
     }
+    // what ran before the rejection: the counted plugin's calls by counter name
+    if (test.assert) applyAsserts(test.assert, { calls })
     return
   }
 
   if (threw) throw threw
 
   const expected = test.expected || {}
+
+  // an unknown key would be an expectation silently left unchecked
+  for (const key of Object.keys(expected)) {
+    if (!EXPECTATIONS.includes(key)) fail(`unknown expectation "${key}"`)
+  }
   const actual = level === 'get' ? value : result
 
   // primary value/result equality
   if ('value' in expected) assertValue(value, expected.value)
   if ('result' in expected) assertValue(result, expected.result)
 
-  // error accumulator (mapper level reports through the envelope)
+  // error accumulator (mapper, compile, and diff levels report through the envelope)
   if ('errors' in expected) {
-    const accumulated = level === 'mapper' ? result.errors : errors
+    const accumulated = ['mapper', 'compile', 'diff'].includes(level) ? result.errors : errors
     if (typeof expected.errors === 'number') {
       assertEquals(accumulated.length, expected.errors, 'error count')
     } else {
@@ -99,6 +149,29 @@ async function run(suite, test) {
   if (expected.stdout) applyOps('stdout', expected.stdout, stdout.text())
 }
 
+/**
+ * store — the plugin-result store named in a case, { <name>: <config> }, from
+ * test/extensions.js
+ */
+function store(entry) {
+  const [[name, config]] = Object.entries(entry)
+  if (!stores[name]) fail(`unknown store "${name}"`)
+  return stores[name](config)
+}
+
+/**
+ * compose — middleware named in a case, [{ <name>: <config> }, ...], from the
+ * built-ins or test/extensions.js
+ */
+function compose(entries) {
+  return entries.map((entry) => {
+    const [[name, config]] = Object.entries(entry)
+    const factory = builtins[name] || middleware[name]
+    if (!factory) fail(`unknown middleware "${name}"`)
+    return factory(config)
+  })
+}
+
 /**
  * assertValue — deep equality over the JSON data model
  *
@@ -175,6 +248,23 @@ function includes(collection, item) {
   return collection.some((member) => JSON.stringify(member) === JSON.stringify(item))
 }
 
+/**
+ * abortAfter — an initial context whose signal aborts after `abort` ms
+ */
+function abortAfter(test) {
+  if (test.abort === undefined) {
+    return { initial: undefined, clear: () => {} }
+  }
+
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), test.abort)
+
+  return {
+    initial: { signal: controller.signal },
+    clear: () => clearTimeout(timer)
+  }
+}
+
 /**
  * captureStdout — intercept console.log while a case runs
  */